@@ -0,0 +1,116 @@
+import fs from 'fs';
+import { log } from './utils/logger.js';
+import { assertValidConfig } from './config/index.js';
+import { loadFieldMappings } from './services/fieldMapping.js';
+import { loadDealStageRules } from './services/dealStageRules.js';
+import { loadLinePricing } from './services/linePricing.js';
+import { runBackfill } from './services/backfillService.js';
+import { runReconcile, formatReport } from './services/reconcileService.js';
+import { exportIdMap, importIdMap, ID_MAP_COLUMNS } from './services/idMap.js';
+import { formatCsv, parseCsv } from './utils/csv.js';
+
+const USAGE = `Usage:
+  node cli.js backfill <companies|contacts|products|deals> [--since <date>] [--limit <n>] [--dry-run] [--reset]
+  node cli.js reconcile <companies|contacts|products|deals> [--since <date>] [--limit <n>] [--format json|csv] [--out <file>]
+  node cli.js idmap export [--type <objectType>] [--format json|csv] [--out <file>]
+  node cli.js idmap import <file.json|file.csv> [--type <objectType>]`;
+
+function parseArgs(argv) {
+  const [command, objectType, ...rest] = argv;
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+
+    if (!arg.startsWith('--')) positional.push(arg);
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--reset') options.reset = true;
+    else if (arg === '--since') options.since = rest[++i];
+    else if (arg === '--limit') options.limit = parseInt(rest[++i], 10);
+    else if (arg === '--format') options.format = rest[++i];
+    else if (arg === '--out') options.out = rest[++i];
+    else if (arg === '--type') options.type = rest[++i];
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  if (options.limit !== undefined && !(options.limit > 0)) {
+    throw new Error('--limit must be a positive number');
+  }
+
+  return { command, objectType, positional, options };
+}
+
+function writeOutput(text, out, description) {
+  if (out) {
+    fs.writeFileSync(out, text);
+    log(`📝 ${description} written to ${out}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+/**
+ * idmap export → JSON / CSV rows; idmap import ← the same, or a NetSuite
+ * saved-search export with hubspotId / internalId columns (plus --type).
+ */
+function runIdMapCommand(action, file, options) {
+  if (action === 'export') {
+    const rows = exportIdMap({ objectType: options.type });
+    const text =
+      options.format === 'csv'
+        ? formatCsv(ID_MAP_COLUMNS, rows)
+        : JSON.stringify(rows, null, 2) + '\n';
+    writeOutput(text, options.out, `ID map (${rows.length} row(s))`);
+    return;
+  }
+
+  if (!file) {
+    throw new Error('idmap import needs a file');
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  const rows = /\.json$/i.test(file) ? JSON.parse(text) : parseCsv(text);
+  const summary = importIdMap(rows, { objectType: options.type });
+
+  console.log(JSON.stringify(summary, null, 2));
+  if (summary.problems.length) {
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const { command, objectType, positional, options } = parseArgs(process.argv.slice(2));
+
+  if (command === 'idmap' && ['export', 'import'].includes(objectType)) {
+    assertValidConfig();
+    runIdMapCommand(objectType, positional[0], options);
+    return;
+  }
+
+  if (!objectType || !['backfill', 'reconcile'].includes(command)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  assertValidConfig();
+  loadFieldMappings();
+  loadDealStageRules();
+  loadLinePricing();
+
+  if (command === 'backfill') {
+    const summary = await runBackfill(objectType, options);
+    console.log(JSON.stringify(summary, null, 2));
+    return;
+  }
+
+  const rows = await runReconcile(objectType, options);
+  const report = formatReport(rows, options.format);
+
+  writeOutput(report, options.out, `Reconcile report (${rows.length} row(s))`);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,229 @@
+// Every setting the bridge reads, loaded once from the environment and checked
+// against SCHEMA. APP_PROFILE picks a profile: with APP_PROFILE=sandbox,
+// SANDBOX_NS_ACCOUNT_ID wins over NS_ACCOUNT_ID, so one environment can hold
+// sandbox and production (or test and live portal) settings side by side.
+
+const PROFILE = (process.env.APP_PROFILE || '').trim().toLowerCase() || null;
+const PROFILE_PREFIX = PROFILE ? `${PROFILE.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_` : null;
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// HubSpot properties we write NetSuite data into (created in the portal beforehand)
+const HUBSPOT_PROPERTIES = {
+  customerId: { env: 'HUBSPOT_PROP_NS_CUSTOMER_ID', default: 'netsuite_customer_id' },
+  contactId: { env: 'HUBSPOT_PROP_NS_CONTACT_ID', default: 'netsuite_contact_id' },
+  itemId: { env: 'HUBSPOT_PROP_NS_ITEM_ID', default: 'netsuite_item_id' },
+  quoteId: { env: 'HUBSPOT_PROP_NS_QUOTE_ID', default: 'netsuite_quote_id' },
+  quoteNumber: { env: 'HUBSPOT_PROP_NS_QUOTE_NUMBER', default: 'netsuite_quote_number' },
+  salesOrderId: { env: 'HUBSPOT_PROP_NS_SALES_ORDER_ID', default: 'netsuite_sales_order_id' },
+  salesOrderNumber: { env: 'HUBSPOT_PROP_NS_SALES_ORDER_NUMBER', default: 'netsuite_sales_order_number' },
+  lastSyncedAt: { env: 'HUBSPOT_PROP_NS_LAST_SYNCED_AT', default: 'netsuite_last_synced_at' },
+  lastSyncError: { env: 'HUBSPOT_PROP_NS_LAST_SYNC_ERROR', default: 'netsuite_last_sync_error' },
+  syncStatus: { env: 'HUBSPOT_PROP_NS_SYNC_STATUS', default: 'netsuite_sync_status' },
+  orderStatus: { env: 'HUBSPOT_PROP_NS_ORDER_STATUS', default: 'netsuite_order_status' },
+  invoiceNumber: { env: 'HUBSPOT_PROP_NS_INVOICE_NUMBER', default: 'netsuite_invoice_number' },
+  amountInvoiced: { env: 'HUBSPOT_PROP_NS_AMOUNT_INVOICED', default: 'netsuite_amount_invoiced' },
+  amountPaid: { env: 'HUBSPOT_PROP_NS_AMOUNT_PAID', default: 'netsuite_amount_paid' },
+  trackingNumbers: { env: 'HUBSPOT_PROP_NS_TRACKING_NUMBERS', default: 'netsuite_tracking_numbers' },
+};
+
+// Leaves have an `env` key; type defaults to string
+const SCHEMA = {
+  port: { env: 'PORT', type: 'integer', min: 1, default: 3000 },
+  dataDir: { env: 'DATA_DIR', default: './data' },
+  fieldMappingsFile: { env: 'FIELD_MAPPINGS_FILE' },
+  dealStageRulesFile: { env: 'DEAL_STAGE_RULES_FILE' },
+  linePricingFile: { env: 'LINE_PRICING_FILE' },
+  productCacheTtlMs: { env: 'PRODUCT_CACHE_TTL_MS', type: 'integer', min: 0, default: 60000 },
+
+  log: {
+    level: { env: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info' },
+    redactFields: { env: 'LOG_REDACT_FIELDS', type: 'list', default: [] },
+  },
+
+  auth: {
+    adminApiToken: { env: 'ADMIN_API_TOKEN' },
+    netsuiteWebhookToken: { env: 'NETSUITE_WEBHOOK_TOKEN' },
+    metricsToken: { env: 'METRICS_TOKEN' },
+  },
+
+  hubspot: {
+    accessToken: { env: 'HUBSPOT_ACCESS_TOKEN', required: true },
+    clientSecret: { env: 'HUBSPOT_CLIENT_SECRET', required: true },
+    webhookBaseUrl: { env: 'HUBSPOT_WEBHOOK_BASE_URL', type: 'url' },
+    signatureMaxAgeMs: { env: 'HUBSPOT_SIGNATURE_MAX_AGE_MS', type: 'integer', min: 0, default: 300000 },
+    allowLegacySignatures: { env: 'HUBSPOT_ALLOW_LEGACY_SIGNATURES', type: 'boolean', default: false },
+    rateLimitPer10s: { env: 'HUBSPOT_RATE_LIMIT_PER_10S', type: 'integer', min: 1, default: 100 },
+    maxRetries: { env: 'HUBSPOT_MAX_RETRIES', type: 'integer', min: 0, default: 4 },
+    retryBaseMs: { env: 'HUBSPOT_RETRY_BASE_MS', type: 'integer', min: 0, default: 500 },
+    requestTimeoutMs: { env: 'HUBSPOT_REQUEST_TIMEOUT_MS', type: 'integer', min: 1, default: 30000 },
+    dailyLimitWarnRatio: { env: 'HUBSPOT_DAILY_LIMIT_WARN_RATIO', type: 'number', min: 0, default: 0.1 },
+    // What to leave on a record that failed pre-flight validation (or hit a stage alert)
+    validationFeedback: {
+      env: 'HUBSPOT_VALIDATION_FEEDBACK',
+      type: 'enum',
+      values: ['note', 'task', 'none'],
+      default: 'note',
+    },
+    properties: HUBSPOT_PROPERTIES,
+  },
+
+  netsuite: {
+    accountId: { env: 'NS_ACCOUNT_ID', required: true },
+    consumerKey: { env: 'NS_CONSUMER_KEY', required: true },
+    consumerSecret: { env: 'NS_CONSUMER_SECRET', required: true },
+    tokenId: { env: 'NS_TOKEN_ID', required: true },
+    tokenSecret: { env: 'NS_TOKEN_SECRET', required: true },
+    concurrencyLimit: { env: 'NS_CONCURRENCY_LIMIT', type: 'integer', min: 1, default: 5 },
+    maxRetries: { env: 'NS_MAX_RETRIES', type: 'integer', min: 0, default: 3 },
+    retryBaseMs: { env: 'NS_RETRY_BASE_MS', type: 'integer', min: 0, default: 1000 },
+    // Per attempt; a RESTlet that hasn't answered by then is retried like a dropped connection
+    requestTimeoutMs: { env: 'NS_REQUEST_TIMEOUT_MS', type: 'integer', min: 1, default: 60000 },
+    // Deal lines whose product has no stored item ID and no SKU match in NetSuite
+    itemFallback: { env: 'NS_ITEM_FALLBACK', type: 'enum', values: ['create', 'item', 'none'], default: 'create' },
+    fallbackItemId: { env: 'NS_FALLBACK_ITEM_ID' },
+    restlets: {
+      customer: { env: 'NS_RESTLET_CUSTOMER_URL', type: 'url', required: true },
+      contact: { env: 'NS_RESTLET_CONTACT_URL', type: 'url' },
+      item: { env: 'NS_RESTLET_ITEM_URL', type: 'url', required: true },
+      salesOrder: { env: 'NS_RESTLET_SALESORDER_URL', type: 'url', required: true },
+      convertQuote: { env: 'NS_RESTLET_CONVERT_QUOTE_URL', type: 'url', required: true },
+    },
+  },
+
+  queue: {
+    maxAttempts: { env: 'QUEUE_MAX_ATTEMPTS', type: 'integer', min: 1, default: 5 },
+    baseBackoffMs: { env: 'QUEUE_BASE_BACKOFF_MS', type: 'integer', min: 0, default: 5000 },
+    maxBackoffMs: { env: 'QUEUE_MAX_BACKOFF_MS', type: 'integer', min: 0, default: 900000 },
+    pollIntervalMs: { env: 'QUEUE_POLL_INTERVAL_MS', type: 'integer', min: 1, default: 1000 },
+  },
+
+  dedup: {
+    retentionMs: { env: 'DEDUP_RETENTION_MS', type: 'integer', min: 0, default: 7 * 24 * 60 * 60 * 1000 },
+  },
+
+  audit: {
+    maxEntries: { env: 'AUDIT_MAX_ENTRIES', type: 'integer', min: 1, default: 20000 },
+  },
+
+  health: {
+    timeoutMs: { env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'integer', min: 1, default: 5000 },
+    cacheMs: { env: 'HEALTH_CHECK_CACHE_MS', type: 'integer', min: 0, default: 15000 },
+  },
+};
+
+const PARSERS = {
+  string: (raw) => raw,
+  url: (raw) => {
+    if (!/^https?:$/.test(new URL(raw).protocol)) throw new Error('must be an http(s) URL');
+    return raw;
+  },
+  integer: (raw) => {
+    if (!/^-?\d+$/.test(raw)) throw new Error('must be an integer');
+    return parseInt(raw, 10);
+  },
+  number: (raw) => {
+    const n = Number(raw);
+    if (isNaN(n)) throw new Error('must be a number');
+    return n;
+  },
+  boolean: (raw) => {
+    if (['true', '1', 'yes'].includes(raw.toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(raw.toLowerCase())) return false;
+    throw new Error('must be true or false');
+  },
+  list: (raw) => raw.split(',').map((s) => s.trim()).filter(Boolean),
+  enum: (raw, spec) => {
+    const value = raw.toLowerCase();
+    if (!spec.values.includes(value)) throw new Error(`must be one of ${spec.values.join(', ')}`);
+    return value;
+  },
+};
+
+// Profile-prefixed variable first, then the plain one; blank counts as unset
+function readEnv(name) {
+  if (PROFILE_PREFIX) {
+    const prefixed = process.env[PROFILE_PREFIX + name];
+    if (prefixed !== undefined && prefixed.trim() !== '') {
+      return { raw: prefixed.trim(), source: PROFILE_PREFIX + name };
+    }
+  }
+
+  const plain = process.env[name];
+  if (plain !== undefined && plain.trim() !== '') {
+    return { raw: plain.trim(), source: name };
+  }
+
+  return null;
+}
+
+function readSetting(spec, problems) {
+  const found = readEnv(spec.env);
+
+  if (!found) {
+    if (spec.required) {
+      problems.push(
+        PROFILE_PREFIX
+          ? `${spec.env} (or ${PROFILE_PREFIX}${spec.env}) is required`
+          : `${spec.env} is required`
+      );
+    }
+    return spec.default ?? null;
+  }
+
+  try {
+    const value = PARSERS[spec.type || 'string'](found.raw, spec);
+
+    if (spec.min !== undefined && value < spec.min) {
+      throw new Error(`must be at least ${spec.min}`);
+    }
+
+    return value;
+  } catch (err) {
+    problems.push(`${found.source}=${JSON.stringify(found.raw)}: ${err.message}`);
+    return spec.default ?? null;
+  }
+}
+
+function build(schema, problems) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, spec]) => [
+      key,
+      typeof spec.env === 'string' ? readSetting(spec, problems) : build(spec, problems),
+    ])
+  );
+}
+
+const problems = [];
+const settings = build(SCHEMA, problems);
+
+// Settings that only make sense together
+if (settings.netsuite.itemFallback === 'item' && !settings.netsuite.fallbackItemId) {
+  problems.push('NS_FALLBACK_ITEM_ID is required when NS_ITEM_FALLBACK=item');
+}
+
+export const config = Object.freeze({
+  profile: PROFILE,
+  ...settings,
+});
+
+/**
+ * Everything wrong with the current configuration, one readable line each.
+ */
+export function getConfigProblems() {
+  return [...problems];
+}
+
+/**
+ * Called first thing at startup so a missing or malformed setting stops the
+ * process with the full list instead of failing on the first request.
+ */
+export function assertValidConfig() {
+  if (problems.length) {
+    throw new Error(
+      `Invalid configuration${PROFILE ? ` (profile "${PROFILE}")` : ''}:\n  - ${problems.join('\n  - ')}`
+    );
+  }
+
+  return config;
+}
@@ -0,0 +1,125 @@
+import express from 'express';
+import crypto from 'crypto';
+import { log } from '../utils/logger.js';
+import {
+  getRecordHistory,
+  listFailures,
+  findReceivedEvent,
+} from '../services/auditStore.js';
+import { handleHubSpotEvent } from '../services/hubspotService.js';
+import { runReadinessChecks } from '../services/healthService.js';
+import { getQueueDepth, getDeadLetterCount } from '../services/eventQueue.js';
+import { getHubSpotRateLimitStatus } from '../services/hubspotClient.js';
+
+const router = express.Router();
+
+// Accept either the webhook name ("company") or the API name ("companies")
+const OBJECT_TYPES = {
+  company: 'companies',
+  companies: 'companies',
+  contact: 'contacts',
+  contacts: 'contacts',
+  product: 'products',
+  products: 'products',
+  deal: 'deals',
+  deals: 'deals',
+};
+
+const RAW_TYPES = {
+  companies: 'company',
+  contacts: 'contact',
+  products: 'product',
+  deals: 'deal',
+};
+
+function resolveObjectType(req, res) {
+  const objectType = OBJECT_TYPES[req.params.objectType];
+
+  if (!objectType) {
+    res.status(400).json({
+      error: `Unknown objectType "${req.params.objectType}" (expected one of ${Object.keys(RAW_TYPES).join(', ')})`,
+    });
+  }
+
+  return objectType;
+}
+
+// Run a sync now and report how it went, instead of the usual 200-and-queue
+async function runSync(res, event) {
+  try {
+    await handleHubSpotEvent(event, { force: true });
+    res.status(200).json({ ok: true, event });
+  } catch (err) {
+    res.status(502).json({
+      ok: false,
+      event,
+      errorType: err.name,
+      error: err.message || String(err),
+    });
+  }
+}
+
+// History of events received, payloads sent and NetSuite responses for one record
+router.get('/sync/:objectType/:hubspotId', (req, res) => {
+  const objectType = resolveObjectType(req, res);
+  if (!objectType) return;
+
+  const history = getRecordHistory(objectType, req.params.hubspotId);
+  res.json({ objectType, hubspotId: req.params.hubspotId, history });
+});
+
+// The full readiness report (what /readyz only shows as pass / fail), the queue
+// backlog and the HubSpot API allowance left
+router.get('/health', async (req, res) => {
+  const report = await runReadinessChecks();
+  res.status(report.ready ? 200 : 503).json({
+    ...report,
+    queue: { pending: getQueueDepth(), deadLetters: getDeadLetterCount() },
+    hubspotRateLimit: getHubSpotRateLimitStatus(),
+  });
+});
+
+// Failed syncs; filters: objectType, hubspotId, errorType, since, until, limit
+router.get('/failures', (req, res) => {
+  const { hubspotId, errorType, since, until } = req.query;
+  const objectType = req.query.objectType
+    ? OBJECT_TYPES[req.query.objectType] || req.query.objectType
+    : undefined;
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+
+  res.json({
+    failures: listFailures({ objectType, hubspotId, errorType, since, until, limit }),
+  });
+});
+
+// Re-run a previously received webhook event
+router.post('/replay/:eventId', async (req, res) => {
+  const event = findReceivedEvent(req.params.eventId);
+
+  if (!event) {
+    return res.status(404).json({ error: `No received event with eventId ${req.params.eventId}` });
+  }
+
+  log('🛠️ Admin replay of HubSpot event', { eventId: req.params.eventId });
+  await runSync(res, event);
+});
+
+// Re-sync a record from its current HubSpot state. Body may set { "event": "creation" }.
+router.post('/resync/:objectType/:hubspotId', async (req, res) => {
+  const objectType = resolveObjectType(req, res);
+  if (!objectType) return;
+
+  const rawEvent = req.body?.event || 'propertyChange';
+
+  const event = {
+    eventId: `resync-${crypto.randomUUID()}`,
+    subscriptionType: `${RAW_TYPES[objectType]}.${rawEvent}`,
+    objectId: req.params.hubspotId,
+    occurredAt: Date.now(),
+  };
+
+  log('🛠️ Admin resync of HubSpot record', { objectType, hubspotId: req.params.hubspotId, rawEvent });
+  await runSync(res, event);
+});
+
+export default router;
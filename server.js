@@ -1,37 +1,168 @@
 import express from 'express';
+import crypto from 'crypto';
 import bodyParser from 'body-parser';
-import { log } from './utils/logger.js';
-import { handleHubSpotEvent } from './services/hubspotService.js';
+import { config, assertValidConfig } from './config/index.js';
+import { log, logger } from './utils/logger.js';
+import {
+  handleHubSpotEvent,
+  getEventTarget,
+} from './services/hubspotService.js';
+import {
+  captureRawBody,
+  requireHubSpotSignature,
+} from './utils/hubspotSignature.js';
+import { enqueueEvents, startQueueWorker, getQueueDepth } from './services/eventQueue.js';
+import { handleNetSuiteEvent } from './services/netsuiteInboundService.js';
+import { requireBearerToken } from './utils/bearerAuth.js';
+import { loadFieldMappings } from './services/fieldMapping.js';
+import { loadDealStageRules } from './services/dealStageRules.js';
+import { loadLinePricing } from './services/linePricing.js';
+import { recordAudit } from './services/auditStore.js';
+import adminRouter from './routes/admin.js';
+import { runReadinessChecks, toPublicReadinessReport } from './services/healthService.js';
+import { runWithContext } from './utils/requestContext.js';
+import { getNetSuiteConcurrency } from './services/netsuiteClient.js';
+import {
+  METRICS_CONTENT_TYPE,
+  createGauge,
+  renderMetrics,
+  webhookEventsReceived,
+} from './utils/metrics.js';
+
+// Fail fast on missing settings or a broken mapping / rules / pricing file rather than on the first webhook
+assertValidConfig();
+loadFieldMappings();
+loadDealStageRules();
+loadLinePricing();
+
+createGauge({
+  name: 'event_queue_depth',
+  help: 'HubSpot events waiting in the local queue',
+  collect: getQueueDepth,
+});
+
+createGauge({
+  name: 'netsuite_requests_in_flight',
+  help: 'NetSuite RESTlet calls currently running',
+  collect: () => getNetSuiteConcurrency().inFlight,
+});
 
 const app = express();
-app.use(bodyParser.json());
+
+// Render terminates TLS in front of us; needed so req.protocol is https for signing.
+// Trust only that one hop, so clients can't spoof req.ip with X-Forwarded-For.
+app.set('trust proxy', 1);
+
+// Tag every request with a correlation ID (reuse the caller's if it sent one)
+app.use((req, res, next) => {
+  const requestId =
+    req.get('X-Correlation-Id') || req.get('X-Request-Id') || crypto.randomUUID();
+
+  res.set('X-Correlation-Id', requestId);
+  runWithContext({ requestId, correlationId: requestId }, next);
+});
+
+// Keep the raw body: HubSpot signs the exact bytes it sent
+app.use(bodyParser.json({ verify: captureRawBody }));
 
 // Basic test endpoint
 app.get('/', (req, res) => {
   res.send('HubSpot → Node.js → NetSuite Integration Running');
 });
 
+// Liveness: the process is up and answering
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: env, HubSpot token, RESTlet signatures and local storage all check out
+app.get('/readyz', async (req, res) => {
+  const report = await runReadinessChecks();
+  res.status(report.ready ? 200 : 503).json(toPublicReadinessReport(report));
+});
+
 // Webhook endpoint HubSpot will call
-app.post('/hubspot/webhook', async (req, res) => {
+app.post('/hubspot/webhook', requireHubSpotSignature, (req, res) => {
   try {
     const events = req.body;
 
-    log('Received HubSpot Webhook:', events);
+    logger.debug('Received HubSpot Webhook:', events);
 
     // HubSpot can send multiple event objects
+    if (!Array.isArray(events)) {
+      return res.status(400).send('Expected an array of events');
+    }
+
+    // Persist and answer right away; the queue worker does the NetSuite work
+    enqueueEvents(events);
+
     for (const event of events) {
-      await handleHubSpotEvent(event);
+      webhookEventsReceived.inc({ subscription_type: event.subscriptionType || 'unknown' });
+      recordAudit({
+        type: 'event_received',
+        eventId: event.eventId ?? null,
+        ...getEventTarget(event),
+        subscriptionType: event.subscriptionType,
+        event,
+      });
     }
 
     res.status(200).send('ok');
   } catch (err) {
-    log('Webhook error:', err);
+    logger.error('Webhook error:', err);
     res.status(500).send('Error');
   }
 });
 
+// Endpoint NetSuite user-event scripts call on order lifecycle changes
+app.post(
+  '/netsuite/webhook',
+  requireBearerToken(config.auth.netsuiteWebhookToken, 'NETSUITE_WEBHOOK_TOKEN'),
+  async (req, res) => {
+    try {
+      log('Received NetSuite webhook:', req.body);
+
+      const result = await handleNetSuiteEvent(req.body || {});
+      res.status(200).json(result);
+    } catch (err) {
+      logger.error('NetSuite webhook error:', err.message || err);
+
+      const status = err.statusCode || err.status || 500;
+      res.status(status >= 400 && status < 500 ? status : 500).json({
+        error: err.message || 'Error',
+      });
+    }
+  }
+);
+
+// Prometheus scrape endpoint; protected only when METRICS_TOKEN is set
+app.get(
+  '/metrics',
+  config.auth.metricsToken
+    ? requireBearerToken(config.auth.metricsToken, 'METRICS_TOKEN')
+    : (req, res, next) => next(),
+  (req, res) => {
+    res.set('Content-Type', METRICS_CONTENT_TYPE).send(renderMetrics());
+  }
+);
+
+// Sync history, failures and manual replay / resync
+app.use('/admin', requireBearerToken(config.auth.adminApiToken, 'ADMIN_API_TOKEN'), adminRouter);
+
 // Render uses PORT environment variable
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 app.listen(PORT, () => {
-  log(`Server running on port ${PORT}`);
+  log(`Server running on port ${PORT}`, { profile: config.profile });
+  startQueueWorker(handleHubSpotEvent, {
+    onDeadLetter: (job, err) =>
+      recordAudit({
+        type: 'dead_lettered',
+        eventId: job.event.eventId ?? null,
+        ...getEventTarget(job.event),
+        subscriptionType: job.event.subscriptionType,
+        attempts: job.attempts,
+        errorType: err.name,
+        error: job.lastError,
+      }),
+  });
 });
@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger, redact } from '../utils/logger.js';
+import { DATA_DIR } from '../utils/jsonFileStore.js';
+import { getContext } from '../utils/requestContext.js';
+import { config } from '../config/index.js';
+
+const AUDIT_FILE = path.join(DATA_DIR, 'audit-log.jsonl');
+
+// Entries kept in memory (and in the file after a restart); older ones are dropped
+const MAX_ENTRIES = config.audit.maxEntries;
+
+function loadEntries() {
+  if (!fs.existsSync(AUDIT_FILE)) {
+    return [];
+  }
+
+  const lines = fs.readFileSync(AUDIT_FILE, 'utf8').split('\n').filter(Boolean);
+  const loaded = [];
+
+  for (const line of lines) {
+    try {
+      loaded.push(JSON.parse(line));
+    } catch {
+      // a half-written last line after a crash; skip it
+    }
+  }
+
+  // Compact the file so it doesn't grow forever
+  if (loaded.length > MAX_ENTRIES) {
+    const kept = loaded.slice(-MAX_ENTRIES);
+    fs.writeFileSync(AUDIT_FILE, kept.map((e) => JSON.stringify(e)).join('\n') + '\n');
+    return kept;
+  }
+
+  return loaded;
+}
+
+let entries = loadEntries();
+
+/**
+ * Append an audit entry. The event / record it belongs to comes from the
+ * request context unless passed explicitly. Stored redacted like log data, so
+ * the file and /admin never hold the emails, phones or addresses in payloads.
+ *
+ * Types: event_received, netsuite_request, netsuite_response, netsuite_error,
+ * sync_succeeded, sync_failed, dead_lettered.
+ */
+export function recordAudit(entry) {
+  const { eventId, objectType, hubspotId } = getContext();
+
+  const full = redact({
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    eventId: eventId ?? null,
+    objectType: objectType ?? null,
+    hubspotId: hubspotId != null ? hubspotId.toString() : null,
+    ...entry,
+  });
+
+  entries.push(full);
+  if (entries.length > MAX_ENTRIES) {
+    entries = entries.slice(-MAX_ENTRIES);
+  }
+
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(full) + '\n');
+  } catch (err) {
+    // Auditing must never break a sync
+    logger.warn('⚠️ Could not write audit entry:', err.message);
+  }
+
+  return full;
+}
+
+/**
+ * Everything recorded for one HubSpot record, oldest first.
+ */
+export function getRecordHistory(objectType, hubspotId) {
+  return entries.filter(
+    (e) => e.objectType === objectType && e.hubspotId === hubspotId.toString()
+  );
+}
+
+/**
+ * Failed syncs, newest first. Filters: objectType, hubspotId, errorType, since, until, limit.
+ */
+export function listFailures({ objectType, hubspotId, errorType, since, until, limit = 100 } = {}) {
+  const sinceMs = since ? Date.parse(since) : null;
+  const untilMs = until ? Date.parse(until) : null;
+
+  return entries
+    .filter((e) => e.type === 'sync_failed' || e.type === 'dead_lettered')
+    .filter((e) => !objectType || e.objectType === objectType)
+    .filter((e) => !hubspotId || e.hubspotId === hubspotId.toString())
+    .filter((e) => !errorType || e.errorType === errorType)
+    .filter((e) => sinceMs == null || Date.parse(e.at) >= sinceMs)
+    .filter((e) => untilMs == null || Date.parse(e.at) <= untilMs)
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * The original webhook event for an eventId, as recorded when it was received.
+ */
+export function findReceivedEvent(eventId) {
+  const entry = entries.find(
+    (e) => e.type === 'event_received' && String(e.eventId) === String(eventId)
+  );
+  return entry?.event || null;
+}
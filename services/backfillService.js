@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import { log, logger } from '../utils/logger.js';
+import { runWithContext } from '../utils/requestContext.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFileStore.js';
+import { listHubSpotRecords, searchHubSpotRecords } from './hubspotClient.js';
+import { getHubSpotProperties } from './fieldMapping.js';
+import { WRITEBACK_PROPERTY_NAMES } from './hubspotWriteback.js';
+import { syncHubSpotObject } from './hubspotService.js';
+import { resolveNetSuiteId } from './idMap.js';
+
+// Per object type: which written-back property says "already in NetSuite",
+// and which property holds the last-modified date for --since
+export const BACKFILL_TYPES = {
+  companies: { idProperty: 'customerId', modifiedProperty: 'hs_lastmodifieddate' },
+  contacts: { idProperty: 'contactId', modifiedProperty: 'lastmodifieddate' },
+  products: { idProperty: 'itemId', modifiedProperty: 'hs_lastmodifieddate' },
+  deals: { idProperty: 'quoteId', modifiedProperty: 'hs_lastmodifieddate' },
+};
+
+export function assertBackfillType(apiObjectType) {
+  if (!BACKFILL_TYPES[apiObjectType]) {
+    throw new Error(
+      `Unknown object type "${apiObjectType}" (expected one of ${Object.keys(BACKFILL_TYPES).join(', ')})`
+    );
+  }
+}
+
+/**
+ * HubSpot properties needed to both map a record and tell whether it's already synced.
+ */
+export function getListProperties(apiObjectType) {
+  const props = [
+    ...getHubSpotProperties(apiObjectType),
+    WRITEBACK_PROPERTY_NAMES[BACKFILL_TYPES[apiObjectType].idProperty],
+  ];
+
+  if (apiObjectType === 'deals') {
+    props.push('dealstage', WRITEBACK_PROPERTY_NAMES.salesOrderId);
+  }
+
+  return [...new Set(props)];
+}
+
+/**
+ * One page of records: list API normally, search API when filtering by --since.
+ */
+export async function fetchRecordPage(apiObjectType, { since, after, properties }) {
+  if (!since) {
+    return listHubSpotRecords(apiObjectType, { properties, after });
+  }
+
+  const sinceMs = Date.parse(since);
+  if (isNaN(sinceMs)) {
+    throw new Error(`Invalid --since date: ${since}`);
+  }
+
+  return searchHubSpotRecords(apiObjectType, {
+    filterGroups: [
+      {
+        filters: [
+          {
+            propertyName: BACKFILL_TYPES[apiObjectType].modifiedProperty,
+            operator: 'GTE',
+            value: sinceMs.toString(),
+          },
+        ],
+      },
+    ],
+    sorts: [{ propertyName: 'hs_object_id', direction: 'ASCENDING' }],
+    properties,
+    after,
+  });
+}
+
+/**
+ * Pick the webhook-equivalent event for a record, or a reason to skip it.
+ */
+function decideAction(apiObjectType, record) {
+  // ID map first, then the ID written back onto the record
+  const netsuiteId = resolveNetSuiteId(apiObjectType, record);
+
+  if (apiObjectType === 'deals' && resolveNetSuiteId('deals', record, 'salesorder')) {
+    return { skip: 'already converted to a Sales Order' };
+  }
+
+  return { rawEvent: netsuiteId ? 'propertyChange' : 'creation' };
+}
+
+/**
+ * Page through HubSpot records and push each through the same create/update
+ * paths as the webhook. Progress is checkpointed to DATA_DIR so an interrupted
+ * run picks up where it stopped (unless `reset` is set or --since changes).
+ */
+export async function runBackfill(apiObjectType, { since, dryRun = false, limit, reset = false } = {}) {
+  assertBackfillType(apiObjectType);
+
+  const checkpointFile = `backfill-${apiObjectType}.json`;
+  const saved = readJsonFile(checkpointFile, null);
+
+  // pageAfter = cursor the current page was fetched with, offset = records already done on it
+  let checkpoint = { since: since || null, pageAfter: null, offset: 0 };
+  if (!reset && saved && !saved.completedAt && saved.since === (since || null)) {
+    checkpoint = saved;
+    log('⏯️ Resuming backfill from checkpoint', { apiObjectType, ...checkpoint });
+  }
+
+  const properties = getListProperties(apiObjectType);
+  const summary = { processed: 0, succeeded: 0, failed: 0, skipped: 0, done: false };
+
+  const saveCheckpoint = () => {
+    if (!dryRun) {
+      writeJsonFile(checkpointFile, { ...checkpoint, updatedAt: new Date().toISOString() });
+    }
+  };
+
+  while (true) {
+    const page = await fetchRecordPage(apiObjectType, {
+      since,
+      after: checkpoint.pageAfter || undefined,
+      properties,
+    });
+
+    for (const record of page.results.slice(checkpoint.offset)) {
+      if (limit && summary.processed >= limit) {
+        saveCheckpoint();
+        logger.warn('🛑 Backfill limit reached', { apiObjectType, limit, ...summary });
+        return summary;
+      }
+
+      const action = decideAction(apiObjectType, record);
+      summary.processed += 1;
+
+      if (action.skip) {
+        summary.skipped += 1;
+        log(`⏭️ [backfill] ${apiObjectType} ${record.id}: ${action.skip}`);
+      } else if (dryRun) {
+        summary.succeeded += 1;
+        log(`🧪 [dry-run] would sync ${apiObjectType} ${record.id} as ${action.rawEvent}`);
+      } else {
+        try {
+          await runWithContext(
+            { correlationId: crypto.randomUUID(), objectType: apiObjectType, hubspotId: record.id },
+            () => syncHubSpotObject(apiObjectType, record.id, action.rawEvent)
+          );
+          summary.succeeded += 1;
+        } catch (err) {
+          summary.failed += 1;
+          logger.error(`❌ [backfill] ${apiObjectType} ${record.id} failed:`, err.message || err);
+        }
+      }
+
+      checkpoint.offset += 1;
+      saveCheckpoint();
+    }
+
+    if (!page.after) break;
+
+    checkpoint = { ...checkpoint, pageAfter: page.after, offset: 0 };
+    saveCheckpoint();
+  }
+
+  summary.done = true;
+  checkpoint = { ...checkpoint, completedAt: new Date().toISOString() };
+  saveCheckpoint();
+
+  log('✅ Backfill finished', { apiObjectType, ...summary });
+  return summary;
+}
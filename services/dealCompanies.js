@@ -0,0 +1,57 @@
+function normalizeLabel(label) {
+  return (label || '').toString().trim().toLowerCase();
+}
+
+function withLabel(companies, label) {
+  const wanted = normalizeLabel(label);
+  return companies.filter((company) => company.labels.some((l) => normalizeLabel(l) === wanted));
+}
+
+function describeIds(companies) {
+  return companies.map((company) => company.id).join(', ');
+}
+
+/**
+ * Work out which of a deal's companies is the NetSuite customer, and which fill
+ * the labeled fields. `companies` are v4 associations: [{ id, labels }].
+ * `rules` come from getCompanyAssociationRules(): { customer, labels }.
+ *
+ * customer: the one company carrying the customer label; a deal with a single
+ * company uses it whatever its labels. Anything else is ambiguous.
+ *
+ * Returns { customerCompanyId, customerProblem, labeledCompanies: { <netsuiteField>: companyId }, labelProblems }.
+ */
+export function resolveDealCompanies(companies, rules) {
+  const result = {
+    customerCompanyId: null,
+    customerProblem: null,
+    labeledCompanies: {},
+    labelProblems: [],
+  };
+
+  const labeledCustomers = withLabel(companies, rules.customer);
+
+  if (labeledCustomers.length === 1) {
+    result.customerCompanyId = labeledCustomers[0].id;
+  } else if (labeledCustomers.length > 1) {
+    result.customerProblem = `${labeledCustomers.length} companies are labeled "${rules.customer}" (${describeIds(labeledCustomers)}); only one can be the NetSuite customer`;
+  } else if (companies.length === 1) {
+    result.customerCompanyId = companies[0].id;
+  } else if (companies.length > 1) {
+    result.customerProblem = `Deal has ${companies.length} companies (${describeIds(companies)}) and none is labeled "${rules.customer}"`;
+  }
+
+  for (const [label, field] of Object.entries(rules.labels)) {
+    const matches = withLabel(companies, label);
+
+    if (matches.length === 1) {
+      result.labeledCompanies[field] = matches[0].id;
+    } else if (matches.length > 1) {
+      result.labelProblems.push(
+        `${matches.length} companies are labeled "${label}" (${describeIds(matches)}); expected at most one`
+      );
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,191 @@
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFileStore.js';
+import { createJsonConfigFile } from '../utils/jsonConfigFile.js';
+import { config } from '../config/index.js';
+
+export const DEAL_ACTIONS = [
+  'create_quote',
+  'update_quote',
+  'convert_to_sales_order',
+  'close_quote',
+  'alert',
+  'noop',
+];
+
+// Pipeline key used when a deal's pipeline has no entry of its own
+const ANY_PIPELINE = '*';
+
+const PIPELINE_KEYS = ['created', 'stages', 'leaving'];
+
+const STAGES_FILE = 'deal-stages.json';
+
+// dealId → { stage, pipeline, updatedAt }: the stage the rules last ran for
+const lastStages = readJsonFile(STAGES_FILE, {});
+
+function validateAction(action, where, problems) {
+  if (!DEAL_ACTIONS.includes(action)) {
+    problems.push(`${where}: unknown action "${action}" (expected one of ${DEAL_ACTIONS.join(', ')})`);
+  }
+}
+
+function validateRules(raw) {
+  const problems = [];
+
+  if (!raw.pipelines || typeof raw.pipelines !== 'object' || Array.isArray(raw.pipelines)) {
+    return ['missing "pipelines" object'];
+  }
+
+  for (const [pipeline, entry] of Object.entries(raw.pipelines)) {
+    const where = `pipelines.${pipeline}`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      problems.push(`${where}: must be an object`);
+      continue;
+    }
+
+    for (const key of Object.keys(entry)) {
+      if (!PIPELINE_KEYS.includes(key)) {
+        problems.push(`${where}: unknown key "${key}" (expected ${PIPELINE_KEYS.join(', ')})`);
+      }
+    }
+
+    if (entry.created !== undefined) {
+      validateAction(entry.created, `${where}.created`, problems);
+    }
+
+    for (const key of ['stages', 'leaving']) {
+      if (entry[key] === undefined) continue;
+
+      if (typeof entry[key] !== 'object' || Array.isArray(entry[key])) {
+        problems.push(`${where}.${key}: must map stage IDs to actions`);
+        continue;
+      }
+
+      for (const [stage, action] of Object.entries(entry[key])) {
+        validateAction(action, `${where}.${key}.${stage}`, problems);
+      }
+    }
+  }
+
+  return problems;
+}
+
+const rulesFile = createJsonConfigFile('dealStageRules.json', config.dealStageRulesFile, validateRules, {
+  label: 'deal stage rules',
+  emoji: '🚦',
+});
+
+/**
+ * Load and validate the deal stage rules (DEAL_STAGE_RULES_FILE, else config/dealStageRules.json).
+ */
+export function loadDealStageRules(filePath) {
+  return rulesFile.load(filePath);
+}
+
+function getPipelineRules(pipeline) {
+  const rules = rulesFile.get();
+
+  if (rules.pipelines[pipeline]) {
+    return { key: pipeline, entry: rules.pipelines[pipeline] };
+  }
+  if (rules.pipelines[ANY_PIPELINE]) {
+    return { key: ANY_PIPELINE, entry: rules.pipelines[ANY_PIPELINE] };
+  }
+  return null;
+}
+
+/**
+ * What the deal's pipeline does on deal creation (null when nothing).
+ */
+export function getCreationAction(pipeline) {
+  return getPipelineRules(pipeline)?.entry.created || null;
+}
+
+/**
+ * The stage a deal was in before this event: what the rules last ran for, or
+ * for a deal we haven't seen, the previous entry in HubSpot's stage history.
+ * `known` says whether it came from our own record.
+ */
+function getPreviousStage(deal) {
+  const last = lastStages[deal.id?.toString()];
+  if (last) {
+    return { previousStage: last.stage, known: true };
+  }
+
+  // propertiesWithHistory lists values newest first
+  const history = deal.propertiesWithHistory?.dealstage || [];
+  return { previousStage: history[1]?.value ?? null, known: false };
+}
+
+/**
+ * Pick what to do for a deal event.
+ * Returns { action, rule, pipeline, stage, previousStage, evaluated } where `rule`
+ * names the table entry that matched (null when nothing did and the action is
+ * noop) and `evaluated` says the current stage was checked against the table.
+ *
+ * creation       → pipelines[p].created
+ * stage changed  → pipelines[p].leaving[previousStage], else pipelines[p].stages[stage]
+ * anything else  → noop
+ */
+export function decideDealAction(deal, rawEvent, event = {}) {
+  const pipeline = deal.properties?.pipeline || null;
+  const stage = deal.properties?.dealstage || null;
+  const { previousStage, known } = getPreviousStage(deal);
+  const decision = { action: 'noop', rule: null, pipeline, stage, previousStage, evaluated: false };
+
+  const pipelineRules = getPipelineRules(pipeline);
+  if (!pipelineRules) {
+    return decision;
+  }
+
+  const { key, entry } = pipelineRules;
+
+  if (rawEvent === 'creation') {
+    return entry.created
+      ? { ...decision, action: entry.created, rule: `pipelines.${key}.created`, evaluated: true }
+      : { ...decision, evaluated: true };
+  }
+
+  // With no record of our own, only trust the history when the event is about
+  // the stage (or a propertyChange with no property name, as in a backfill)
+  const stageChanged = known
+    ? stage !== previousStage
+    : rawEvent === 'propertyChange' && (!event.propertyName || event.propertyName === 'dealstage');
+
+  if (!stageChanged || !stage) {
+    return decision;
+  }
+
+  decision.evaluated = true;
+
+  if (previousStage && previousStage !== stage && entry.leaving?.[previousStage]) {
+    return {
+      ...decision,
+      action: entry.leaving[previousStage],
+      rule: `pipelines.${key}.leaving.${previousStage}`,
+    };
+  }
+
+  if (entry.stages?.[stage]) {
+    return { ...decision, action: entry.stages[stage], rule: `pipelines.${key}.stages.${stage}` };
+  }
+
+  return decision;
+}
+
+/**
+ * Remember the stage the rules have run for, so the next event can tell
+ * whether the stage actually changed. Only called once the action succeeded;
+ * a decision that never looked at the stage records nothing.
+ */
+export function recordDealStage(dealId, { stage, pipeline, evaluated }) {
+  if (dealId == null || !stage || !evaluated) return;
+
+  const key = dealId.toString();
+  if (lastStages[key]?.stage === stage) return;
+
+  lastStages[key] = { stage, pipeline, updatedAt: new Date().toISOString() };
+  writeJsonFile(STAGES_FILE, lastStages);
+
+  logger.debug('🚦 Recorded deal stage', { dealId: key, stage, pipeline });
+}
@@ -0,0 +1,82 @@
+/**
+ * A deal the RESTlet would reject. `problems` lists everything the rep has to
+ * fix; never retryable because the HubSpot data has to change first.
+ */
+export class DealValidationError extends Error {
+  constructor(dealId, problems) {
+    super(`Deal ${dealId} can't be sent to NetSuite: ${problems.join('; ')}`);
+    this.name = 'DealValidationError';
+    this.dealId = dealId;
+    this.problems = problems;
+    this.retryable = false;
+  }
+}
+
+/**
+ * A HubSpot record NetSuite can't take as it is (a required field with no value,
+ * an unknown item type). Like NetSuiteValidationError, only a data fix helps,
+ * so it is never retried.
+ */
+export class RecordDataError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecordDataError';
+    this.retryable = false;
+  }
+}
+
+function describeLine(line) {
+  return line.name ? `Line item "${line.name}" (${line.hubspotLineItemId})` : `Line item ${line.hubspotLineItemId}`;
+}
+
+/**
+ * Gather every reason NetSuite would refuse this deal, before calling it.
+ * `lines` come from createSalesOrderInNS:
+ *   { hubspotLineItemId, found, name, productId, itemInternalId, itemProblem, quantity, pricingProblems }
+ * `dealProblems` (company labels, pricing) and each line's `pricingProblems` are
+ * added as they are; `customerProblem` / `itemProblem` say why there is no
+ * customer (e.g. ambiguous company labels) / item.
+ * Returns [] when the deal is good to go.
+ */
+export function validateDeal({
+  hubspotCompanyId,
+  customerInternalId,
+  customerProblem,
+  lines,
+  dealProblems = [],
+}) {
+  const problems = [...dealProblems];
+
+  if (!hubspotCompanyId) {
+    problems.push(customerProblem || 'Deal has no associated company');
+  } else if (!customerInternalId) {
+    problems.push(customerProblem || `Company ${hubspotCompanyId} has not been synced to a NetSuite customer yet`);
+  }
+
+  if (!lines.length) {
+    problems.push('Deal has no line items');
+  }
+
+  for (const line of lines) {
+    if (!line.found) {
+      problems.push(`Line item ${line.hubspotLineItemId} could not be read from HubSpot`);
+      continue;
+    }
+
+    if (!line.productId) {
+      problems.push(`${describeLine(line)} is not linked to a product`);
+    } else if (!line.itemInternalId) {
+      problems.push(`${describeLine(line)}: ${line.itemProblem || `product ${line.productId} has no NetSuite item`}`);
+    }
+
+    if (!(line.quantity > 0)) {
+      problems.push(`${describeLine(line)} has quantity ${line.quantity ?? 0}`);
+    }
+
+    for (const problem of line.pricingProblems || []) {
+      problems.push(`${describeLine(line)} ${problem}`);
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,92 @@
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFileStore.js';
+import { config } from '../config/index.js';
+
+const DEDUP_FILE = 'processed-events.json';
+
+// How long we remember handled eventIds. HubSpot stops retrying well before this.
+const RETENTION_MS = config.dedup.retentionMs;
+
+// events:  eventId   → { attemptNumber, occurredAt, objectKey, processedAt }
+// objects: objectKey → occurredAt of the last change we applied
+const state = readJsonFile(DEDUP_FILE, { events: {}, objects: {} });
+
+function persist() {
+  writeJsonFile(DEDUP_FILE, state);
+}
+
+function prune() {
+  const cutoff = Date.now() - RETENTION_MS;
+
+  for (const [eventId, entry] of Object.entries(state.events)) {
+    if (Date.parse(entry.processedAt) < cutoff) {
+      delete state.events[eventId];
+    }
+  }
+
+  // An event older than the cutoff can't arrive any more, so nothing needs its
+  // object's last change; without this the map keeps every object ever seen
+  for (const [objectKey, occurredAt] of Object.entries(state.objects)) {
+    if (occurredAt < cutoff) {
+      delete state.objects[objectKey];
+    }
+  }
+}
+
+export function getObjectKey(event) {
+  const [rawType] = (event.subscriptionType || '').split('.');
+  return `${rawType}:${event.objectId}`;
+}
+
+/**
+ * Decide whether an event should be skipped.
+ * Returns { skip: boolean, reason?: string }.
+ */
+export function checkEvent(event) {
+  const { eventId, occurredAt, subscriptionType } = event;
+
+  if (eventId != null && state.events[eventId]) {
+    return { skip: true, reason: 'already processed' };
+  }
+
+  // Only property changes can clobber newer data; creations etc. always run
+  if (subscriptionType?.endsWith('.propertyChange') && occurredAt != null) {
+    const lastApplied = state.objects[getObjectKey(event)];
+
+    if (lastApplied != null && occurredAt < lastApplied) {
+      return { skip: true, reason: 'older than last applied change' };
+    }
+  }
+
+  return { skip: false };
+}
+
+/**
+ * Record that an event was handled successfully.
+ */
+export function markEventProcessed(event) {
+  const { eventId, attemptNumber, occurredAt } = event;
+  const objectKey = getObjectKey(event);
+
+  if (eventId != null) {
+    state.events[eventId] = {
+      attemptNumber,
+      occurredAt,
+      objectKey,
+      processedAt: new Date().toISOString(),
+    };
+  }
+
+  if (
+    event.objectId != null &&
+    occurredAt != null &&
+    !(state.objects[objectKey] > occurredAt)
+  ) {
+    state.objects[objectKey] = occurredAt;
+  }
+
+  prune();
+  persist();
+
+  logger.debug('🧾 Recorded processed HubSpot event', { eventId, attemptNumber, objectKey });
+}
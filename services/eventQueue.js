@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import { log, logger, redact } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFileStore.js';
+import { getContext, runWithContext } from '../utils/requestContext.js';
+import { retriesTotal } from '../utils/metrics.js';
+import { config } from '../config/index.js';
+
+const QUEUE_FILE = 'event-queue.json';
+const DEAD_LETTER_FILE = 'dead-letter.json';
+
+const {
+  maxAttempts: MAX_ATTEMPTS,
+  baseBackoffMs: BASE_BACKOFF_MS,
+  maxBackoffMs: MAX_BACKOFF_MS,
+  pollIntervalMs: POLL_INTERVAL_MS,
+} = config.queue;
+
+// Loaded once at startup so anything left over from a previous run gets drained
+let jobs = readJsonFile(QUEUE_FILE, []);
+let deadLetters = readJsonFile(DEAD_LETTER_FILE, []);
+
+let workerTimer = null;
+let draining = false;
+
+function persistQueue() {
+  writeJsonFile(QUEUE_FILE, jobs);
+}
+
+function persistDeadLetters() {
+  writeJsonFile(DEAD_LETTER_FILE, deadLetters);
+}
+
+function backoffDelay(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Persist webhook events so they can be processed after we've answered HubSpot.
+ * Stored redacted like log data: syncs re-read the record, never `propertyValue`.
+ */
+export function enqueueEvents(events) {
+  const now = Date.now();
+  const { requestId } = getContext();
+
+  // Each event gets its own correlation ID, linked back to the webhook delivery
+  const newJobs = events.map((event) => ({
+    id: crypto.randomUUID(),
+    correlationId: crypto.randomUUID(),
+    requestId: requestId ?? null,
+    event: redact(event),
+    attempts: 0,
+    enqueuedAt: new Date(now).toISOString(),
+    nextAttemptAt: now,
+    lastError: null,
+  }));
+
+  jobs.push(...newJobs);
+  persistQueue();
+
+  log(`📥 Queued ${newJobs.length} HubSpot event(s); queue depth now ${jobs.length}`);
+
+  return newJobs;
+}
+
+async function runJob(job, handler, onDeadLetter) {
+  job.attempts += 1;
+
+  try {
+    await runWithContext(
+      { requestId: job.requestId, correlationId: job.correlationId || job.id },
+      () => handler(job.event)
+    );
+
+    jobs = jobs.filter((j) => j.id !== job.id);
+    persistQueue();
+  } catch (err) {
+    job.lastError = redact(err.message || String(err));
+
+    // Typed HubSpot / NetSuite errors say when retrying can't help (validation, auth, not found)
+    const permanent = err.retryable === false;
+
+    if (permanent || job.attempts >= MAX_ATTEMPTS) {
+      log(
+        permanent
+          ? '☠️ Event failed with a non-retryable error, moving to dead-letter store'
+          : '☠️ Event failed too many times, moving to dead-letter store',
+        {
+          jobId: job.id,
+          attempts: job.attempts,
+          errorType: err.name,
+          error: job.lastError,
+        }
+      );
+
+      jobs = jobs.filter((j) => j.id !== job.id);
+      deadLetters.push({
+        ...job,
+        errorType: err.name,
+        deadLetteredAt: new Date().toISOString(),
+      });
+      persistDeadLetters();
+      persistQueue();
+      onDeadLetter?.(job, err);
+      return;
+    }
+
+    const delay = backoffDelay(job.attempts);
+    job.nextAttemptAt = Date.now() + delay;
+    persistQueue();
+    retriesTotal.inc({ target: 'queue' });
+
+    logger.warn('🔁 Event failed, will retry', {
+      jobId: job.id,
+      attempts: job.attempts,
+      retryInMs: delay,
+      error: job.lastError,
+    });
+  }
+}
+
+async function drain(handler, onDeadLetter) {
+  if (draining) return;
+  draining = true;
+
+  try {
+    // One job at a time, oldest first, skipping jobs still in backoff
+    let job;
+    while ((job = jobs.find((j) => j.nextAttemptAt <= Date.now()))) {
+      await runJob(job, handler, onDeadLetter);
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Start polling the queue and handing each event to `handler`.
+ * A handler that throws causes the job to be retried with exponential backoff;
+ * `onDeadLetter(job, err)` is called when a job is given up on.
+ */
+export function startQueueWorker(handler, { onDeadLetter } = {}) {
+  if (workerTimer) return;
+
+  log('🚜 Event queue worker started', {
+    pending: jobs.length,
+    deadLetters: deadLetters.length,
+    maxAttempts: MAX_ATTEMPTS,
+  });
+
+  workerTimer = setInterval(() => {
+    drain(handler, onDeadLetter).catch((err) => logger.error('Queue worker error:', err));
+  }, POLL_INTERVAL_MS);
+}
+
+export function getQueueDepth() {
+  return jobs.length;
+}
+
+export function getDeadLetterCount() {
+  return deadLetters.length;
+}
@@ -0,0 +1,187 @@
+import { addRedactFields } from '../utils/logger.js';
+import { createJsonConfigFile } from '../utils/jsonConfigFile.js';
+import { config } from '../config/index.js';
+
+const OBJECT_TYPES = ['companies', 'contacts', 'products', 'deals', 'line_items'];
+
+const TRANSFORMS = {
+  trim: (v) => (typeof v === 'string' ? v.trim() : v),
+  uppercase: (v) => (typeof v === 'string' ? v.toUpperCase() : v),
+  lowercase: (v) => (typeof v === 'string' ? v.toLowerCase() : v),
+  string: (v) => String(v),
+  number: (v) => {
+    const n = parseFloat(v);
+    return isNaN(n) ? undefined : n;
+  },
+  integer: (v) => {
+    const n = parseInt(v, 10);
+    return isNaN(n) ? undefined : n;
+  },
+  boolean: (v) => v === true || v === 'true',
+};
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function validateMappings(raw) {
+  const problems = [];
+
+  for (const objectType of OBJECT_TYPES) {
+    const entry = raw[objectType];
+
+    if (!entry || !Array.isArray(entry.fields)) {
+      problems.push(`${objectType}: missing "fields" array`);
+      continue;
+    }
+
+    const seen = new Set();
+
+    entry.fields.forEach((field, i) => {
+      const where = `${objectType}.fields[${i}]`;
+      const sources = Array.isArray(field.hubspot) ? field.hubspot : [field.hubspot];
+
+      if (!sources.length || sources.some((s) => typeof s !== 'string' || !s)) {
+        problems.push(`${where}: "hubspot" must be a property name or a list of names`);
+      }
+
+      if (typeof field.netsuite !== 'string' || !field.netsuite) {
+        problems.push(`${where}: "netsuite" must be a field name`);
+      } else if (seen.has(field.netsuite)) {
+        problems.push(`${where}: duplicate netsuite field "${field.netsuite}"`);
+      } else {
+        seen.add(field.netsuite);
+      }
+
+      for (const t of field.transforms || []) {
+        if (!TRANSFORMS[t]) {
+          problems.push(`${where}: unknown transform "${t}"`);
+        }
+      }
+
+      if (field.lookup !== undefined && (typeof field.lookup !== 'object' || Array.isArray(field.lookup))) {
+        problems.push(`${where}: "lookup" must be an object`);
+      }
+
+      if (field.required !== undefined && typeof field.required !== 'boolean') {
+        problems.push(`${where}: "required" must be true or false`);
+      }
+
+      if (field.pii !== undefined && typeof field.pii !== 'boolean') {
+        problems.push(`${where}: "pii" must be true or false`);
+      }
+    });
+  }
+
+  const companyAssociations = raw.deals?.companyAssociations;
+  if (companyAssociations !== undefined) {
+    const where = 'deals.companyAssociations';
+
+    if (companyAssociations.customer !== undefined && (typeof companyAssociations.customer !== 'string' || !companyAssociations.customer)) {
+      problems.push(`${where}.customer: must be an association label`);
+    }
+
+    const labels = companyAssociations.labels;
+    if (labels !== undefined && (typeof labels !== 'object' || Array.isArray(labels))) {
+      problems.push(`${where}.labels: must map association labels to NetSuite fields`);
+    } else {
+      for (const [label, field] of Object.entries(labels || {})) {
+        if (typeof field !== 'string' || !field) {
+          problems.push(`${where}.labels.${label}: must be a NetSuite field name`);
+        }
+      }
+    }
+  }
+
+  for (const objectType of Object.keys(raw)) {
+    if (!OBJECT_TYPES.includes(objectType)) {
+      problems.push(`${objectType}: unknown object type (expected one of ${OBJECT_TYPES.join(', ')})`);
+    }
+  }
+
+  return problems;
+}
+
+// Logs and the audit log mask "pii" fields under their HubSpot and their NetSuite names
+function redactPiiFields(raw) {
+  const piiFields = OBJECT_TYPES.flatMap((objectType) => raw[objectType].fields.filter((f) => f.pii));
+  addRedactFields(piiFields.flatMap((f) => [...(Array.isArray(f.hubspot) ? f.hubspot : [f.hubspot]), f.netsuite]));
+  return raw;
+}
+
+const mappingsFile = createJsonConfigFile('fieldMappings.json', config.fieldMappingsFile, validateMappings, {
+  label: 'field mappings',
+  emoji: '🗺️',
+  build: redactPiiFields,
+});
+
+/**
+ * Load and validate the field mapping file (FIELD_MAPPINGS_FILE, else config/fieldMappings.json).
+ */
+export function loadFieldMappings(filePath) {
+  return mappingsFile.load(filePath);
+}
+
+function getFields(objectType) {
+  return mappingsFile.get()[objectType].fields;
+}
+
+/**
+ * How a deal's associated companies are read: { customer, labels } where
+ * `customer` is the association label that marks the NetSuite customer and
+ * `labels` maps other labels to the NetSuite field their customer ID goes in.
+ */
+export function getCompanyAssociationRules() {
+  const { customer = 'Primary', labels = {} } = mappingsFile.get().deals.companyAssociations || {};
+  return { customer, labels };
+}
+
+/**
+ * Every HubSpot property the mapping for `objectType` reads.
+ */
+export function getHubSpotProperties(objectType) {
+  const props = getFields(objectType).flatMap((f) =>
+    Array.isArray(f.hubspot) ? f.hubspot : [f.hubspot]
+  );
+  return [...new Set(props)];
+}
+
+/**
+ * Map HubSpot properties to NetSuite fields for `objectType`.
+ * Returns { fields, sources, missing } where `sources` names the HubSpot
+ * property each value came from and `missing` lists required fields with no value.
+ */
+export function mapProperties(objectType, properties = {}) {
+  const fields = {};
+  const sources = {};
+  const missing = [];
+
+  for (const field of getFields(objectType)) {
+    const candidates = Array.isArray(field.hubspot) ? field.hubspot : [field.hubspot];
+    const source = candidates.find((name) => !isEmpty(properties[name]));
+
+    let value = source ? properties[source] : undefined;
+
+    for (const t of field.transforms || []) {
+      if (!isEmpty(value)) value = TRANSFORMS[t](value);
+    }
+
+    if (field.lookup && !isEmpty(value) && field.lookup[value] !== undefined) {
+      value = field.lookup[value];
+    }
+
+    if (isEmpty(value) && field.default !== undefined) {
+      value = field.default;
+    }
+
+    if (isEmpty(value)) {
+      if (field.required) missing.push(field.netsuite);
+      continue;
+    }
+
+    fields[field.netsuite] = value;
+    sources[field.netsuite] = source;
+  }
+
+  return { fields, sources, missing };
+}
@@ -0,0 +1,126 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { DATA_DIR, writeJsonFile } from '../utils/jsonFileStore.js';
+import { createTtlCache } from '../utils/ttlCache.js';
+import { hubspotRequest } from './hubspotClient.js';
+import { callNetSuite } from './netsuiteClient.js';
+import { config, getConfigProblems } from '../config/index.js';
+
+const CHECK_TIMEOUT_MS = config.health.timeoutMs;
+
+// Probes can come every few seconds; don't spend HubSpot quota / RESTlet calls on each one
+const reportCache = createTtlCache(config.health.cacheMs);
+
+const PROBE_FILE = '.readyz-probe.json';
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Each check resolves to { ok, durationMs, ...details } or { ok: false, error }
+async function runCheck(fn) {
+  const started = Date.now();
+
+  try {
+    const details = await withTimeout(Promise.resolve().then(fn), CHECK_TIMEOUT_MS);
+    return { ok: true, durationMs: Date.now() - started, ...details };
+  } catch (err) {
+    return { ok: false, durationMs: Date.now() - started, error: err.message || String(err) };
+  }
+}
+
+function checkConfig() {
+  const problems = getConfigProblems();
+
+  if (problems.length) {
+    throw new Error(problems.join('; '));
+  }
+
+  return { profile: config.profile };
+}
+
+// Cheapest authenticated read: one company, no retries
+async function checkHubSpot() {
+  await hubspotRequest('GET', '/crm/v3/objects/companies', {
+    params: { limit: 1 },
+    maxRetries: 0,
+  });
+}
+
+/**
+ * RESTlets answer GET ?action=ping; a 2xx proves the TBA signature and deployment are good.
+ */
+async function pingRestlet(baseUrl) {
+  const url = new URL(baseUrl);
+  url.searchParams.set('action', 'ping');
+
+  // Outside the concurrency limiter: a busy queue shouldn't make the service look unready
+  await callNetSuite('GET', url.toString(), undefined, { maxRetries: 0, audit: false, limited: false });
+}
+
+function checkStorage() {
+  writeJsonFile(PROBE_FILE, { checkedAt: new Date().toISOString() });
+  fs.unlinkSync(path.join(DATA_DIR, PROBE_FILE));
+
+  return { dataDir: DATA_DIR };
+}
+
+/**
+ * Run every readiness check in parallel.
+ * Returns { ready, checkedAt, checks: { config, hubspot, storage, 'netsuite.customer', ... } }.
+ */
+export async function runReadinessChecks() {
+  const cached = reportCache.get('report');
+  if (cached) return cached;
+
+  const checks = {
+    config: checkConfig,
+    hubspot: checkHubSpot,
+    storage: checkStorage,
+  };
+
+  // Required RESTlet URLs are enforced by the config check; optional ones are pinged when set
+  for (const [name, baseUrl] of Object.entries(config.netsuite.restlets)) {
+    if (baseUrl) {
+      checks[`netsuite.${name}`] = () => pingRestlet(baseUrl);
+    }
+  }
+
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map((name) => runCheck(checks[name])));
+
+  const report = {
+    ready: results.every((result) => result.ok),
+    checkedAt: new Date().toISOString(),
+    checks: Object.fromEntries(names.map((name, i) => [name, results[i]])),
+  };
+
+  if (!report.ready) {
+    logger.warn('🩺 Readiness check failed', {
+      failed: Object.fromEntries(
+        names.filter((name, i) => !results[i].ok).map((name) => [name, report.checks[name].error])
+      ),
+    });
+  }
+
+  reportCache.set('report', report);
+  return report;
+}
+
+/**
+ * What the unauthenticated /readyz shows: pass / fail per check. Config
+ * problems and upstream errors are logged, and served in full under /admin/health.
+ */
+export function toPublicReadinessReport(report) {
+  return {
+    ready: report.ready,
+    checkedAt: report.checkedAt,
+    checks: Object.fromEntries(Object.entries(report.checks).map(([name, { ok }]) => [name, { ok }])),
+  };
+}
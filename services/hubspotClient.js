@@ -0,0 +1,285 @@
+import axios from 'axios';
+import { log, logger } from '../utils/logger.js';
+import { createTokenBucket } from '../utils/rateLimiter.js';
+import { hubspotRequestDuration, retriesTotal } from '../utils/metrics.js';
+import { config } from '../config/index.js';
+
+const HUBSPOT_TOKEN = config.hubspot.accessToken;
+export const HUBSPOT_BASE_URL = 'https://api.hubapi.com';
+
+// Burst limit for the app (private apps: 100 / 10s on most tiers, 190 / 10s with the API add-on)
+const BURST_LIMIT_PER_10S = config.hubspot.rateLimitPer10s;
+const MAX_RETRIES = config.hubspot.maxRetries;
+const BASE_RETRY_DELAY_MS = config.hubspot.retryBaseMs;
+const REQUEST_TIMEOUT_MS = config.hubspot.requestTimeoutMs;
+// Warn once the daily allowance drops below this fraction
+const DAILY_WARN_RATIO = config.hubspot.dailyLimitWarnRatio;
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND'];
+
+const bucket = createTokenBucket({
+  capacity: BURST_LIMIT_PER_10S,
+  refillPerSecond: BURST_LIMIT_PER_10S / 10,
+});
+
+const rateLimitStatus = {
+  dailyLimit: null,
+  dailyRemaining: null,
+  intervalRemaining: null,
+  updatedAt: null,
+};
+
+/**
+ * A HubSpot API failure. `category` and `correlationId` come from HubSpot's
+ * error body; `retryable` is true for 429, 5xx and network errors.
+ */
+export class HubSpotApiError extends Error {
+  constructor(message, { status, category, correlationId, data, method, path, retryable }) {
+    super(message);
+    this.name = 'HubSpotApiError';
+    this.status = status ?? null;
+    this.category = category ?? null;
+    this.correlationId = correlationId ?? null;
+    this.data = data;
+    this.method = method;
+    this.path = path;
+    this.retryable = retryable;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isRetryable(err) {
+  const status = err.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_NETWORK_CODES.includes(err.code);
+}
+
+function toHubSpotApiError(err, method, path) {
+  const data = err.response?.data;
+  const status = err.response?.status;
+
+  return new HubSpotApiError(data?.message || err.message, {
+    status,
+    category: data?.category || (status ? null : 'NETWORK_ERROR'),
+    correlationId: data?.correlationId,
+    data,
+    method,
+    path,
+    retryable: isRetryable(err),
+  });
+}
+
+// Full jitter: anywhere between 0 and the exponential delay
+function retryDelay(err, attempt) {
+  const retryAfter = parseFloat(err.response?.headers?.['retry-after']);
+  if (!isNaN(retryAfter)) {
+    return retryAfter * 1000;
+  }
+
+  return Math.round(Math.random() * BASE_RETRY_DELAY_MS * 2 ** attempt);
+}
+
+function trackRateLimitHeaders(headers = {}) {
+  const dailyLimit = parseInt(headers['x-hubspot-ratelimit-daily'], 10);
+  const dailyRemaining = parseInt(headers['x-hubspot-ratelimit-daily-remaining'], 10);
+  const intervalRemaining = parseInt(headers['x-hubspot-ratelimit-remaining'], 10);
+  const intervalMs = parseInt(headers['x-hubspot-ratelimit-interval-milliseconds'], 10);
+
+  if (!isNaN(dailyLimit)) rateLimitStatus.dailyLimit = dailyLimit;
+  if (!isNaN(dailyRemaining)) rateLimitStatus.dailyRemaining = dailyRemaining;
+  if (!isNaN(intervalRemaining)) rateLimitStatus.intervalRemaining = intervalRemaining;
+  rateLimitStatus.updatedAt = new Date().toISOString();
+
+  if (!isNaN(intervalRemaining)) {
+    if (intervalRemaining <= 0 && !isNaN(intervalMs)) {
+      bucket.pause(intervalMs);
+    } else {
+      bucket.clamp(intervalRemaining);
+    }
+  }
+
+  if (!isNaN(dailyLimit) && !isNaN(dailyRemaining) && dailyRemaining < dailyLimit * DAILY_WARN_RATIO) {
+    logger.warn('⚠️ HubSpot daily API limit running low', {
+      dailyRemaining,
+      dailyLimit,
+    });
+  }
+}
+
+/**
+ * Latest rate limit numbers HubSpot reported (null until the first response).
+ */
+export function getHubSpotRateLimitStatus() {
+  return { ...rateLimitStatus };
+}
+
+/**
+ * Authenticated call to the HubSpot API. `path` is relative to HUBSPOT_BASE_URL.
+ * Waits on the burst limiter, retries 429 / 5xx / network errors with jittered
+ * backoff (honouring Retry-After), and throws HubSpotApiError on failure.
+ * Pass `maxRetries: 0` for calls that should fail fast (e.g. health checks).
+ */
+export async function hubspotRequest(
+  method,
+  path,
+  { params, data, maxRetries = MAX_RETRIES } = {}
+) {
+  if (!HUBSPOT_TOKEN) {
+    throw new Error('HUBSPOT_ACCESS_TOKEN is not set');
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await bucket.take();
+    const endTimer = hubspotRequestDuration.startTimer({ method: method.toUpperCase() });
+
+    try {
+      const response = await axios({
+        method: method.toLowerCase(),
+        url: `${HUBSPOT_BASE_URL}${path}`,
+        params,
+        data,
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: {
+          Authorization: `Bearer ${HUBSPOT_TOKEN}`,
+          'Content-Type': 'application/json',
+        },
+      });
+
+      endTimer({ status: response.status });
+      trackRateLimitHeaders(response.headers);
+      return response.data;
+    } catch (err) {
+      endTimer({ status: err.response?.status || 'network_error' });
+      trackRateLimitHeaders(err.response?.headers);
+
+      const apiError = toHubSpotApiError(err, method, path);
+
+      if (apiError.retryable && attempt < maxRetries) {
+        const delay = retryDelay(err, attempt);
+        retriesTotal.inc({ target: 'hubspot' });
+        logger.warn('🔁 HubSpot request failed, retrying', {
+          method,
+          path,
+          status: apiError.status,
+          category: apiError.category,
+          attempt: attempt + 1,
+          retryInMs: delay,
+        });
+        await sleep(delay);
+        continue;
+      }
+
+      logger.error('HubSpot API error:', {
+        method,
+        path,
+        status: apiError.status,
+        category: apiError.category,
+        correlationId: apiError.correlationId,
+        message: apiError.message,
+      });
+      throw apiError;
+    }
+  }
+}
+
+/**
+ * Follow `paging.next.after` cursors and yield every result.
+ * GET requests carry the cursor as a query param, POST (search) in the body.
+ */
+export async function* hubspotPaginate(method, path, { params = {}, data } = {}) {
+  let after;
+
+  do {
+    const page = await hubspotRequest(
+      method,
+      path,
+      method.toUpperCase() === 'GET'
+        ? { params: { ...params, after } }
+        : { params, data: { ...data, after } }
+    );
+
+    yield* page.results || [];
+    after = page.paging?.next?.after;
+  } while (after);
+}
+
+/**
+ * PATCH properties onto a HubSpot CRM record, e.g. ('deals', '123', { ... }).
+ */
+export async function updateHubSpotRecord(apiObjectType, objectId, properties) {
+  log(`✏️ Updating HubSpot ${apiObjectType} ${objectId}:`, properties);
+
+  return hubspotRequest('PATCH', `/crm/v3/objects/${apiObjectType}/${objectId}`, {
+    data: { properties },
+  });
+}
+
+/**
+ * Create a CRM record (e.g. a note or task), optionally associated to others:
+ * associations = [{ to: { id }, types: [{ associationCategory, associationTypeId }] }].
+ */
+export async function createHubSpotRecord(apiObjectType, properties, associations = []) {
+  log(`🆕 Creating HubSpot ${apiObjectType}`);
+
+  return hubspotRequest('POST', `/crm/v3/objects/${apiObjectType}`, {
+    data: { properties, associations },
+  });
+}
+
+/**
+ * One page of the CRM list API. Returns { results, after } (after is null on the last page).
+ */
+export async function listHubSpotRecords(apiObjectType, { properties = [], after, limit = 100 } = {}) {
+  const data = await hubspotRequest('GET', `/crm/v3/objects/${apiObjectType}`, {
+    params: {
+      limit,
+      after,
+      properties: properties.join(','),
+    },
+  });
+
+  return { results: data.results || [], after: data.paging?.next?.after || null };
+}
+
+/**
+ * One page of the CRM search API. Returns { results, after } like listHubSpotRecords.
+ */
+export async function searchHubSpotRecords(apiObjectType, { filterGroups = [], sorts = [], properties = [], after, limit = 100 } = {}) {
+  const data = await hubspotRequest('POST', `/crm/v3/objects/${apiObjectType}/search`, {
+    data: { filterGroups, sorts, properties, after, limit },
+  });
+
+  return { results: data.results || [], after: data.paging?.next?.after || null };
+}
+
+// HubSpot caps batch reads at 100 inputs per call
+const BATCH_READ_SIZE = 100;
+
+/**
+ * Read many records of one type with the CRM batch read endpoint.
+ * Returns the records in whatever order HubSpot sends them; missing IDs are just absent.
+ */
+export async function batchReadHubSpotRecords(apiObjectType, ids, properties = []) {
+  const uniqueIds = [...new Set(ids.map((id) => id.toString()))];
+  const results = [];
+
+  for (let i = 0; i < uniqueIds.length; i += BATCH_READ_SIZE) {
+    const chunk = uniqueIds.slice(i, i + BATCH_READ_SIZE);
+
+    logger.debug(`📚 Batch reading ${chunk.length} HubSpot ${apiObjectType}`);
+
+    const data = await hubspotRequest('POST', `/crm/v3/objects/${apiObjectType}/batch/read`, {
+      data: {
+        properties,
+        inputs: chunk.map((id) => ({ id })),
+      },
+    });
+
+    results.push(...(data.results || []));
+  }
+
+  return results;
+}
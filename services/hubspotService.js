@@ -1,250 +1,558 @@
-import axios from 'axios';
-import { log } from '../utils/logger.js';
+import { log, logger } from '../utils/logger.js';
 import {
   createCustomerInNS,
   updateCustomerInNS,
+  createContactInNS,
+  updateContactInNS,
   createItemInNS,
+  updateItemInNS,
   createSalesOrderInNS,
+  updateQuoteInNS,
   convertQuoteToSalesOrder,    // 👈 NEW import
+  inactivateRecordInNS,
+  reactivateRecordInNS,
+  relinkRecordInNS,
+  closeQuoteInNS,
+  reopenQuoteInNS,
 } from './netsuiteService.js';
-
-const HUBSPOT_TOKEN = process.env.HUBSPOT_ACCESS_TOKEN;
-
-const CLOSED_WON_STAGE_ID =
-  process.env.HUBSPOT_CLOSED_WON_STAGE_ID || 'closedwon';
-
+import { hubspotRequest, HubSpotApiError } from './hubspotClient.js';
+import { postHubSpotFeedback, SYNC_STATUS, WRITEBACK_PROPERTY_NAMES } from './hubspotWriteback.js';
+import { getHubSpotProperties } from './fieldMapping.js';
+import { checkEvent, markEventProcessed } from './eventDedup.js';
+import { recordAudit } from './auditStore.js';
+import { getContext, runWithContext, setContextValue } from '../utils/requestContext.js';
+import { syncsTotal } from '../utils/metrics.js';
+import { getIdProperty, resolveNetSuiteId } from './idMap.js';
+import { decideDealAction, getCreationAction, recordDealStage } from './dealStageRules.js';
+import { PRICING_DEAL_PROPERTIES } from './linePricing.js';
+import { withObjectLock } from './objectLock.js';
 
 const HUBSPOT_OBJECT_TYPE_MAP = {
   company: 'companies',
   deal: 'deals',
   product: 'products',
-  contact: 'contacts'
+  contact: 'contacts',
+  line_item: 'line_items'
 };
 
 async function fetchHubSpotRecord(apiObjectType, objectId) {
-  if (!HUBSPOT_TOKEN) {
-    throw new Error('HUBSPOT_ACCESS_TOKEN is not set');
-  }
-
-  let url;
+  let params;
 
+  // Property lists come from config/fieldMappings.json, plus the written-back
+  // NetSuite ID so the ID map can fall back to it
   if (apiObjectType === 'deals') {
-    // ✅ No space between companies and line_items
-    const associationsParam = encodeURIComponent('companies,line_items');
-
-    url = `https://api.hubapi.com/crm/v3/objects/deals/${objectId}?associations=${associationsParam}`;
-  } else if (apiObjectType === 'companies') {
-    // 🔹 Explicitly request name + address properties
-    const properties = [
-      'name',
-      'address',
-      'address2',
-      'city',
-      'state',
-      'zip',
-      'country',
-      // add any custom fields you use, e.g. 'billing_address', 'shipping_city', etc.
-    ].join(',');
-
-    url = `https://api.hubapi.com/crm/v3/objects/companies/${objectId}?properties=${properties}`;
-  } else {
-    url = `https://api.hubapi.com/crm/v3/objects/${apiObjectType}/${objectId}`;
+    // Companies are read with their labels (v4) when the Quote is built
+    params = {
+      associations: 'line_items',
+      // Stage history tells the stage rules where a deal we haven't seen came from
+      propertiesWithHistory: 'dealstage',
+      properties: [
+        ...new Set([
+          'dealstage',
+          'pipeline',
+          ...PRICING_DEAL_PROPERTIES,
+          ...getHubSpotProperties('deals'),
+          getIdProperty('deals'),
+          getIdProperty('deals', 'salesorder'),
+          // A deal whose Quote failed validation gets it created by the rep's next edit
+          WRITEBACK_PROPERTY_NAMES.syncStatus,
+        ]),
+      ].join(','),
+    };
+  } else if (apiObjectType === 'contacts') {
+    params = {
+      associations: 'companies',
+      properties: [...getHubSpotProperties('contacts'), getIdProperty('contacts')].join(','),
+    };
+  } else if (apiObjectType === 'line_items') {
+    // Only needed to find the deal(s) whose Quote the line belongs to
+    params = { associations: 'deals', properties: 'hs_product_id' };
+  } else if (apiObjectType === 'companies' || apiObjectType === 'products') {
+    params = {
+      properties: [...getHubSpotProperties(apiObjectType), getIdProperty(apiObjectType)].join(','),
+    };
   }
 
-  log('Fetching HubSpot record from:', url);
+  const path = `/crm/v3/objects/${apiObjectType}/${objectId}`;
 
-  const response = await axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${HUBSPOT_TOKEN}`
-    }
-  });
+  logger.debug('Fetching HubSpot record from:', { path, params });
 
-  return response.data;
+  return hubspotRequest('GET', path, { params });
 }
 
 
-// Example in hubspotService.js (or wherever you handle deal updates)
+/**
+ * Whether a deal event that no stage rule acted on changes the Quote: a line
+ * item added or removed, or a mapped deal property (or amount, which HubSpot
+ * recalculates when line items are edited). A propertyChange without a
+ * property name comes from a backfill and counts.
+ */
+function isQuoteChange(rawEvent, event) {
+  if (rawEvent === 'associationChange') {
+    return event.associationType === 'DEAL_TO_LINE_ITEM';
+  }
 
-async function handleDealUpdate(event) {
-  const dealId = event.objectId || event.dealId;
-  const newStage = event.properties?.dealstage || event.newValue;
+  if (rawEvent !== 'propertyChange') {
+    return false;
+  }
 
-  console.log("HubSpot deal updated:", { dealId, newStage });
+  return (
+    !event.propertyName ||
+    event.propertyName === 'amount' ||
+    getHubSpotProperties('deals').includes(event.propertyName)
+  );
+}
+
+/**
+ * Whether a deal with no Quote should already have one: its pipeline creates
+ * Quotes on deal creation (which usually fails for want of line items), or the
+ * last attempt failed validation and the rep is now fixing the deal.
+ */
+function isQuoteMissing(deal) {
+  return (
+    getCreationAction(deal.properties?.pipeline) === 'create_quote' ||
+    deal.properties?.[WRITEBACK_PROPERTY_NAMES.syncStatus] === SYNC_STATUS.validationFailed
+  );
+}
+
+/**
+ * Push a deal's current lines and fields to its open Quote; converted ones are
+ * refused by updateQuoteInNS. A deal without a Quote gets one created when
+ * isQuoteMissing says so, and is otherwise left to the stage rules.
+ */
+async function syncQuoteChanges(deal, subscriptionType) {
+  const quoteInternalId = resolveNetSuiteId('deals', deal);
+
+  if (!quoteInternalId) {
+    if (!isQuoteMissing(deal)) {
+      log('Skipping Quote update: deal has no Quote in NetSuite yet', {
+        dealId: deal.id,
+        subscriptionType,
+      });
+      return;
+    }
 
-  // 1. CREATE QUOTE ON DEAL CREATION
-  if (event.changeType === "CREATED") {
-    console.log(`Deal ${dealId} created → Creating Quote in NetSuite.`);
-    await netsuiteService.createQuoteFromDeal(dealId); // you already have this
+    log(`Handling ${subscriptionType} → creating the deal's missing Quote in NetSuite`, {
+      dealId: deal.id,
+    });
+    setContextValue('operation', 'quote_create');
+    return await createSalesOrderInNS(deal);
   }
 
-  // 2. TRANSFORM QUOTE → SALES ORDER ON CLOSED WON
-  const CLOSED_WON = "closedwon";  // your internal HubSpot stage value
+  log(`Handling ${subscriptionType} → updating Quote in NetSuite`, {
+    dealId: deal.id,
+    quoteInternalId,
+  });
+  setContextValue('operation', 'quote_update');
+  return await updateQuoteInNS(deal);
+}
 
-  if (newStage === CLOSED_WON) {
-    console.log(`Deal ${dealId} is Closed Won → Converting Quote in NetSuite.`);
-    try {
-      await netsuiteService.convertQuoteToSalesOrder(dealId);
-    } catch (err) {
-      console.error("Error converting quote to SO:", err);
+// What each deal stage rule action does; each notes its operation for the sync metrics
+const DEAL_ACTION_HANDLERS = {
+  create_quote: async (deal) => {
+    // A replayed creation (or a second quote stage) finds the Quote in the ID map
+    const quoteInternalId = resolveNetSuiteId('deals', deal);
+    if (quoteInternalId) {
+      log('Skipping Quote creation: Quote already exists in NetSuite', {
+        dealId: deal.id,
+        quoteInternalId,
+      });
+      return;
+    }
+
+    setContextValue('operation', 'quote_create');
+    return await createSalesOrderInNS(deal);
+  },
+
+  update_quote: async (deal, { rule }) => {
+    if (!resolveNetSuiteId('deals', deal)) {
+      setContextValue('operation', 'quote_create');
+      return await createSalesOrderInNS(deal);
     }
+
+    return await syncQuoteChanges(deal, rule);
+  },
+
+  // The RESTlet finds the Quote by externalId HSDEAL_<dealId> / quoteInternalId
+  convert_to_sales_order: async (deal) => {
+    setContextValue('operation', 'quote_convert');
+    return await convertQuoteToSalesOrder(deal.id?.toString());
+  },
+
+  close_quote: async (deal) => {
+    setContextValue('operation', 'quote_close');
+    return await closeQuoteInNS(deal.id?.toString());
+  },
+
+  // Nothing is sent to NetSuite; someone has to look at the deal
+  alert: async (deal, { pipeline, stage, previousStage, rule }) => {
+    setContextValue('operation', 'deal_alert');
+
+    logger.warn('🚨 Deal stage alert', { dealId: deal.id, pipeline, stage, previousStage, rule });
+    recordAudit({ type: 'deal_alert', pipeline, stage, previousStage, rule });
+
+    await postHubSpotFeedback('deals', deal.id, {
+      subject: 'Check NetSuite order for this deal',
+      heading: `Deal moved from stage "${previousStage}" to "${stage}". NetSuite was not changed — please review the Quote / Sales Order there.`,
+    });
+  },
+};
+
+
+const LIFECYCLE_EVENTS = ['deletion', 'merge', 'restore'];
+
+/**
+ * deletion → inactivate (or close the Quote for deals)
+ * merge    → relink the surviving HubSpot ID onto the existing NetSuite record
+ * restore  → reactivate (or reopen the Quote for deals)
+ */
+async function handleLifecycleEvent(apiObjectType, rawEvent, event) {
+  const { objectId, subscriptionType } = event;
+
+  if (rawEvent === 'merge') {
+    // The surviving record can get a new ID; primaryObjectId is the one that was kept
+    const survivingId = event.newObjectId || event.primaryObjectId || objectId;
+    const mergedIds = (event.mergedObjectIds || []).filter(
+      (id) => id?.toString() !== survivingId?.toString()
+    );
+
+    log(`Handling ${subscriptionType} → relinking NetSuite record to surviving HubSpot ID`, {
+      apiObjectType,
+      survivingId,
+      mergedIds,
+    });
+    setContextValue('operation', 'relink');
+    return await relinkRecordInNS(apiObjectType, survivingId, mergedIds);
+  }
+
+  if (apiObjectType === 'deals') {
+    log(`Handling ${subscriptionType} → ${rawEvent === 'deletion' ? 'closing' : 'reopening'} Quote in NetSuite`, {
+      dealId: objectId,
+    });
+    setContextValue('operation', rawEvent === 'deletion' ? 'quote_close' : 'quote_reopen');
+    return rawEvent === 'deletion'
+      ? await closeQuoteInNS(objectId)
+      : await reopenQuoteInNS(objectId);
   }
+
+  log(`Handling ${subscriptionType} → ${rawEvent === 'deletion' ? 'inactivating' : 'reactivating'} NetSuite record`, {
+    apiObjectType,
+    objectId,
+  });
+  setContextValue('operation', rawEvent === 'deletion' ? 'inactivate' : 'reactivate');
+  return rawEvent === 'deletion'
+    ? await inactivateRecordInNS(apiObjectType, objectId)
+    : await reactivateRecordInNS(apiObjectType, objectId);
 }
 
 
+/**
+ * Fetch a HubSpot record and run it through the matching NetSuite create/update path.
+ * Also used by the backfill CLI, which passes no webhook event. Syncs of the
+ * same record (including a deal creating it as a dependency) run one at a time.
+ */
+export async function syncHubSpotObject(apiObjectType, objectId, rawEvent, event = {}) {
+  return withObjectLock(apiObjectType, objectId, () =>
+    syncRecord(apiObjectType, objectId, rawEvent, event)
+  );
+}
 
-export async function handleHubSpotEvent(event) {
-  try {
-    log('Raw HubSpot webhook event:', event);
+async function syncRecord(apiObjectType, objectId, rawEvent, event) {
+  const subscriptionType = event.subscriptionType || `${apiObjectType}.${rawEvent}`;
 
-    const { objectId, subscriptionType } = event;
+  // Deals come with their line_items (companies are read with their v4 labels
+  // when the Quote is built), contacts with their companies
+  const record = await fetchHubSpotRecord(apiObjectType, objectId);
 
-    if (!objectId || !subscriptionType) {
-      log('Event missing objectId or subscriptionType, skipping.');
-      return;
-    }
+  log(`Fetched full ${apiObjectType} record from HubSpot:`, record.id);
 
-    // subscriptionType examples:
-    // "company.creation", "company.propertyChange", "deal.creation", etc.
-    const [rawType, rawEvent] = subscriptionType.split('.');
-    const apiObjectType = HUBSPOT_OBJECT_TYPE_MAP[rawType];
+  switch (apiObjectType) {
+    /**
+     * COMPANIES → NetSuite Customers
+     */
+    case 'companies': {
+      // Create vs update follows the ID map, not the event: a propertyChange for a
+      // company NetSuite never saw creates it, a replayed creation updates it
+      const customerInternalId = resolveNetSuiteId('companies', record);
 
-    if (!apiObjectType) {
-      log('Unhandled raw object type from webhook:', rawType);
-      return;
+      if (!customerInternalId) {
+        log(`Handling ${subscriptionType} → creating Customer in NetSuite`, {
+          companyId: record.id,
+          rawEvent,
+        });
+        setContextValue('operation', 'customer_create');
+        return await createCustomerInNS(record);
+      } else {
+        log(`Handling ${subscriptionType} → updating Customer in NetSuite`, {
+          companyId: record.id,
+          rawEvent,
+          customerInternalId,
+        });
+        setContextValue('operation', 'customer_update');
+        return await updateCustomerInNS(record);
+      }
     }
 
-    // ⬇️ IMPORTANT: this uses your existing helper, which already
-    // pulls associations for deals (companies, line_items, etc.)
-    const record = await fetchHubSpotRecord(apiObjectType, objectId);
-
-    log(`Fetched full ${apiObjectType} record from HubSpot:`, record.id);
-
-    switch (apiObjectType) {
-      /**
-       * COMPANIES → NetSuite Customers
-       */
-      case 'companies': {
-        if (rawEvent === 'creation') {
-          log('Handling company.creation → creating Customer in NetSuite', {
-            companyId: record.id,
-            subscriptionType,
-          });
-          return await createCustomerInNS(record);
-        } else {
-          log('Handling company update → updating Customer in NetSuite', {
-            companyId: record.id,
-            subscriptionType,
-            rawEvent,
-          });
-          return await updateCustomerInNS(record);
-        }
-      }
+    /**
+     * CONTACTS → NetSuite Contacts attached to the company's Customer
+     */
+    case 'contacts': {
+      const contactInternalId = resolveNetSuiteId('contacts', record);
 
-      /**
-       * CONTACTS → (not wired yet, safe to ignore)
-       */
-      case 'contacts': {
-        log('Received contact event (no NS action wired yet)', {
+      if (!contactInternalId) {
+        log(`Handling ${subscriptionType} → creating Contact in NetSuite`, {
           contactId: record.id,
-          subscriptionType,
           rawEvent,
         });
-        return;
+        setContextValue('operation', 'contact_create');
+        return await createContactInNS(record);
       }
 
-      /**
-       * PRODUCTS → NetSuite Items
-       */
-      case 'products': {
-        log('Handling product event → create/update Item in NetSuite', {
+      // Company association removed → tell NetSuite which customer to detach from
+      const previousHubspotCompanyId =
+        rawEvent === 'associationChange' && event.associationRemoved
+          ? event.toObjectId?.toString()
+          : undefined;
+
+      log(`Handling ${subscriptionType} → updating Contact in NetSuite`, {
+        contactId: record.id,
+        rawEvent,
+        contactInternalId,
+        previousHubspotCompanyId,
+      });
+      setContextValue('operation', 'contact_update');
+      return await updateContactInNS(record, { previousHubspotCompanyId });
+    }
+
+    /**
+     * PRODUCTS → NetSuite Items
+     */
+    case 'products': {
+      const itemInternalId = resolveNetSuiteId('products', record);
+
+      if (!itemInternalId) {
+        log(`Handling ${subscriptionType} → creating Item in NetSuite`, {
           productId: record.id,
-          subscriptionType,
           rawEvent,
         });
-        // Your existing createItemInNS already handles creation path
+        setContextValue('operation', 'item_create');
         return await createItemInNS(record);
       }
 
-      /**
-       * DEALS → NS Quote on creation, then transform to SO when Closed Won
-       */
-      case 'deals': {
-        const dealId = record.id?.toString();
-        const currentStage = record.properties?.dealstage;
-
-        // 1️⃣ On deal creation → create the Quote in NetSuite (same as before)
-        if (rawEvent === 'creation') {
-          log('Handling deal.creation → creating Quote in NetSuite', {
-            dealId,
-            subscriptionType,
-          });
-
-          // This function already builds hubspotCompanyId from associations
-          // and sends it to the NS RESTlet that creates the Quote.
-          return await createSalesOrderInNS(record);
-        }
+      log(`Handling ${subscriptionType} → updating Item in NetSuite`, {
+        productId: record.id,
+        rawEvent,
+        itemInternalId,
+      });
+      setContextValue('operation', 'item_update');
+      return await updateItemInNS(record);
+    }
+
+    /**
+     * DEALS → whatever config/dealStageRules.json says for the pipeline / stage
+     */
+    case 'deals': {
+      const dealId = record.id?.toString();
+      const decision = decideDealAction(record, rawEvent, event);
+      const { action, rule, pipeline, stage, previousStage } = decision;
 
-        // 2️⃣ On other deal events, only act when it hits Closed Won
-        if (currentStage === CLOSED_WON_STAGE_ID) {
-          const externalId = `HSDEAL_${dealId}`;
-
-          log('Deal moved to Closed Won → converting Quote to Sales Order in NetSuite', {
-            dealId,
-            subscriptionType,
-            rawEvent,
-            currentStage,
-            externalId,
-          });
-
-          try {
-            // This calls the NetSuite RESTlet that:
-            //  - finds the Quote by externalId / hubspotDealId
-            //  - transforms it into a Sales Order
-            await convertQuoteToSalesOrder(dealId);
-          } catch (err) {
-            log('Error converting Quote to Sales Order in NetSuite', {
-              dealId,
-              error: err.message || err,
-            });
-          }
-
-          return;
+      if (action === 'noop') {
+        recordDealStage(dealId, decision);
+
+        // Lines / amounts edited after the Quote was created
+        if (isQuoteChange(rawEvent, event)) {
+          return await syncQuoteChanges(record, subscriptionType);
         }
 
-        // 3️⃣ All other deal events (not creation and not Closed Won) → ignore
-        log('Skipping deal event (not creation and not Closed Won)', {
+        log('Skipping deal event (no stage rule applies)', {
           dealId,
           subscriptionType,
           rawEvent,
-          currentStage,
+          pipeline,
+          stage,
+          previousStage,
+          rule,
         });
         return;
       }
 
-      default: {
-        log('No handler implemented for apiObjectType:', apiObjectType);
+      log(`Handling ${subscriptionType} → deal stage rule ${rule}: ${action}`, {
+        dealId,
+        rawEvent,
+        pipeline,
+        stage,
+        previousStage,
+      });
+
+      const result = await DEAL_ACTION_HANDLERS[action](record, decision);
+      recordDealStage(dealId, decision);
+      return result;
+    }
+
+    /**
+     * LINE ITEMS → update the Quote of each deal the line belongs to
+     */
+    case 'line_items': {
+      const dealIds = (record.associations?.deals?.results || [])
+        .map((assoc) => assoc.id?.toString())
+        .filter(Boolean);
+
+      if (!dealIds.length) {
+        log('Skipping line item event: not associated with a deal', {
+          lineItemId: record.id,
+          subscriptionType,
+        });
         return;
       }
+
+      for (const dealId of dealIds) {
+        await withObjectLock('deals', dealId, async () => {
+          const deal = await fetchHubSpotRecord('deals', dealId);
+          await syncQuoteChanges(deal, subscriptionType);
+        });
+      }
+      return;
+    }
+
+    default: {
+      log('No handler implemented for apiObjectType:', apiObjectType);
+      return;
+    }
+  }
+}
+
+
+async function processHubSpotEvent(event) {
+  try {
+    logger.debug('Raw HubSpot webhook event:', event);
+
+    const { objectId, subscriptionType } = event;
+
+    if (!objectId || !subscriptionType) {
+      log('Event missing objectId or subscriptionType, skipping.');
+      return;
     }
+
+    // subscriptionType examples:
+    // "company.creation", "company.propertyChange", "deal.creation", etc.
+    const [rawType, rawEvent] = subscriptionType.split('.');
+    const apiObjectType = HUBSPOT_OBJECT_TYPE_MAP[rawType];
+
+    if (!apiObjectType) {
+      log('Unhandled raw object type from webhook:', rawType);
+      return;
+    }
+
+    // A deleted line item can't be traced to its deal; the deal's own
+    // associationChange / amount events update the Quote instead
+    if (apiObjectType === 'line_items' && rawEvent !== 'propertyChange') {
+      log('Skipping line item event (handled through the deal)', { subscriptionType, objectId });
+      return;
+    }
+
+    // Deleted records can't be fetched anymore, so lifecycle events are handled up front
+    if (LIFECYCLE_EVENTS.includes(rawEvent)) {
+      return await withObjectLock(apiObjectType, objectId, () =>
+        handleLifecycleEvent(apiObjectType, rawEvent, event)
+      );
+    }
+
+    return await syncHubSpotObject(apiObjectType, objectId, rawEvent, event);
   } catch (err) {
-    if (err.response) {
-      log('HubSpot API error:', {
-        status: err.response.status,
-        data: err.response.data,
+    if (err instanceof HubSpotApiError) {
+      logger.error('HubSpot API error:', {
+        status: err.status,
+        category: err.category,
+        correlationId: err.correlationId,
+        message: err.message,
       });
     } else {
-      log('HubSpot handler error:', err.message || err);
+      logger.error('HubSpot handler error:', err.message || err);
     }
-    return;
+    // Rethrow so the queue worker can retry / dead-letter the event
+    throw err;
   }
 }
 
 
+/**
+ * associationChange events carry fromObjectId / toObjectId instead of objectId.
+ * We only act on contact ↔ company changes, from the contact's side, and
+ * deal ↔ line item changes, from the deal's side.
+ */
+function normalizeEvent(event) {
+  if (
+    event.objectId == null &&
+    ((event.subscriptionType === 'contact.associationChange' &&
+      event.associationType === 'CONTACT_TO_COMPANY') ||
+      (event.subscriptionType === 'deal.associationChange' &&
+        event.associationType === 'DEAL_TO_LINE_ITEM'))
+  ) {
+    return { ...event, objectId: event.fromObjectId };
+  }
+
+  return event;
+}
+
 
+/**
+ * Which HubSpot record an event is about: { objectType: 'companies', hubspotId: '123' }.
+ */
+export function getEventTarget(event) {
+  const normalized = normalizeEvent(event);
+  const [rawType] = (normalized.subscriptionType || '').split('.');
+
+  return {
+    objectType: HUBSPOT_OBJECT_TYPE_MAP[rawType] || rawType || null,
+    hubspotId: normalized.objectId != null ? normalized.objectId.toString() : null,
+  };
+}
 
 
+/**
+ * Entry point for the queue worker: skips duplicate / out-of-date deliveries,
+ * then records the event once it has been handled.
+ * `force` (admin replay / resync) bypasses the duplicate check.
+ */
+export async function handleHubSpotEvent(event, { force = false } = {}) {
+  event = normalizeEvent(event);
 
+  const { objectType, hubspotId } = getEventTarget(event);
 
+  return runWithContext({ eventId: event.eventId, objectType, hubspotId }, async () => {
+    const { skip, reason } = force ? { skip: false } : checkEvent(event);
+
+    if (skip) {
+      log('⏭️ Skipping HubSpot event', {
+        eventId: event.eventId,
+        attemptNumber: event.attemptNumber,
+        subscriptionType: event.subscriptionType,
+        objectId: event.objectId,
+        reason,
+      });
+      return;
+    }
 
+    // syncHubSpotObject / handleLifecycleEvent note which operation the event became
+    const countSync = (result) =>
+      syncsTotal.inc({ object_type: objectType, operation: getContext().operation || 'none', result });
 
+    try {
+      await processHubSpotEvent(event);
+    } catch (err) {
+      countSync('failed');
+      recordAudit({
+        type: 'sync_failed',
+        subscriptionType: event.subscriptionType,
+        attemptNumber: event.attemptNumber,
+        errorType: err.name,
+        error: err.message || String(err),
+      });
+      throw err;
+    }
 
+    countSync('succeeded');
+    markEventProcessed(event);
+    recordAudit({ type: 'sync_succeeded', subscriptionType: event.subscriptionType });
+  });
+}
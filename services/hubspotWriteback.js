@@ -0,0 +1,201 @@
+import { logger } from '../utils/logger.js';
+import { createHubSpotRecord, updateHubSpotRecord } from './hubspotClient.js';
+import { config } from '../config/index.js';
+import { setNetSuiteRef } from './idMap.js';
+
+const { properties } = config.hubspot;
+
+// HubSpot property names NetSuite results are written into (see config.hubspot.properties)
+export const WRITEBACK_PROPERTY_NAMES = {
+  customerId: properties.customerId,
+  contactId: properties.contactId,
+  itemId: properties.itemId,
+  quoteId: properties.quoteId,
+  quoteNumber: properties.quoteNumber,
+  salesOrderId: properties.salesOrderId,
+  salesOrderNumber: properties.salesOrderNumber,
+  lastSyncedAt: properties.lastSyncedAt,
+  lastSyncError: properties.lastSyncError,
+  syncStatus: properties.syncStatus,
+};
+
+// Values written to the sync-status property
+export const SYNC_STATUS = {
+  synced: 'synced',
+  failed: 'failed',
+  validationFailed: 'validation_failed',
+};
+
+// Writeback keys that carry a NetSuite internal ID, and the record type they name
+const ID_MAP_KEYS = {
+  customerId: { recordType: 'customer' },
+  contactId: { recordType: 'contact' },
+  itemId: { recordType: 'item' },
+  quoteId: { recordType: 'estimate', tranIdKey: 'quoteNumber' },
+  salesOrderId: { recordType: 'salesorder', tranIdKey: 'salesOrderNumber' },
+};
+
+// HUBSPOT_DEFINED association type IDs from notes / tasks to the record they're about
+const FEEDBACK_ASSOCIATION_TYPES = {
+  notes: { deals: 214, companies: 190, contacts: 202 },
+  tasks: { deals: 216, companies: 192, contacts: 204 },
+};
+
+const MAX_ERROR_LENGTH = 1000;
+
+/**
+ * Pull the internal ID / document number out of a RESTlet response.
+ * RESTlets aren't consistent about casing, so accept the common variants.
+ */
+export function extractNetSuiteIds(response = {}) {
+  return {
+    internalId: response.internalId ?? response.internalid ?? response.id ?? null,
+    tranId: response.tranId ?? response.tranid ?? null,
+  };
+}
+
+// NetSuiteError messages already read "<code>: <message>"
+function describeError(err) {
+  return (err.message || String(err)).slice(0, MAX_ERROR_LENGTH);
+}
+
+// Writeback is best effort: a HubSpot hiccup here must not fail (and retry) a sync
+async function safeUpdate(apiObjectType, objectId, properties) {
+  try {
+    await updateHubSpotRecord(apiObjectType, objectId, properties);
+  } catch (err) {
+    logger.warn('⚠️ Could not write sync state back to HubSpot', {
+      apiObjectType,
+      objectId,
+      error: err.message,
+    });
+  }
+}
+
+export async function recordSyncSuccess(apiObjectType, objectId, properties = {}) {
+  const toWrite = {};
+  for (const [key, value] of Object.entries(properties)) {
+    if (value !== undefined && value !== null) {
+      toWrite[WRITEBACK_PROPERTY_NAMES[key]] = value;
+    }
+  }
+
+  toWrite[WRITEBACK_PROPERTY_NAMES.lastSyncedAt] = new Date().toISOString();
+  toWrite[WRITEBACK_PROPERTY_NAMES.lastSyncError] = '';
+  toWrite[WRITEBACK_PROPERTY_NAMES.syncStatus] = SYNC_STATUS.synced;
+
+  await safeUpdate(apiObjectType, objectId, toWrite);
+}
+
+/**
+ * Leave a note or task (HUBSPOT_VALIDATION_FEEDBACK) on the record: `heading`
+ * followed by `items` as a list, with `subject` as the task title.
+ * Best effort, like the property writeback.
+ */
+export async function postHubSpotFeedback(apiObjectType, objectId, { subject, heading, items = [] }) {
+  const kind = config.hubspot.validationFeedback;
+  if (kind === 'none') return;
+
+  const objectType = kind === 'task' ? 'tasks' : 'notes';
+  const associationTypeId = FEEDBACK_ASSOCIATION_TYPES[objectType][apiObjectType];
+  if (!associationTypeId) return;
+
+  const list = items.length ? `<ul>${items.map((p) => `<li>${escapeHtml(p)}</li>`).join('')}</ul>` : '';
+  const body = `<p>${escapeHtml(heading)}</p>${list}`;
+
+  const properties =
+    objectType === 'tasks'
+      ? {
+          hs_timestamp: new Date().toISOString(),
+          hs_task_subject: subject,
+          hs_task_body: body,
+          hs_task_status: 'NOT_STARTED',
+          hs_task_priority: 'HIGH',
+        }
+      : {
+          hs_timestamp: new Date().toISOString(),
+          hs_note_body: body,
+        };
+
+  try {
+    await createHubSpotRecord(objectType, properties, [
+      {
+        to: { id: objectId.toString() },
+        types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId }],
+      },
+    ]);
+  } catch (err) {
+    logger.warn('⚠️ Could not post feedback to HubSpot', {
+      apiObjectType,
+      objectId,
+      subject,
+      error: err.message,
+    });
+  }
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Errors carrying `problems` (e.g. DealValidationError) also get a note / task
+ * on the record and the validation_failed status.
+ */
+export async function recordSyncFailure(apiObjectType, objectId, err) {
+  const problems = Array.isArray(err.problems) ? err.problems : null;
+
+  await safeUpdate(apiObjectType, objectId, {
+    [WRITEBACK_PROPERTY_NAMES.lastSyncError]: describeError(err),
+    [WRITEBACK_PROPERTY_NAMES.syncStatus]: problems
+      ? SYNC_STATUS.validationFailed
+      : SYNC_STATUS.failed,
+  });
+
+  if (problems) {
+    await postHubSpotFeedback(apiObjectType, objectId, {
+      subject: 'Fix data blocking NetSuite sync',
+      heading: 'NetSuite sync blocked — please fix the following:',
+      items: problems,
+    });
+  }
+}
+
+function rememberNetSuiteIds(apiObjectType, objectId, properties) {
+  for (const [key, { recordType, tranIdKey }] of Object.entries(ID_MAP_KEYS)) {
+    if (properties[key]) {
+      setNetSuiteRef(apiObjectType, objectId, recordType, {
+        internalId: properties[key],
+        tranId: tranIdKey ? properties[tranIdKey] : undefined,
+      });
+    }
+  }
+}
+
+/**
+ * Run a NetSuite sync and write its outcome onto the source HubSpot record
+ * (and into the local ID map).
+ * `toProperties(response)` maps the RESTlet response to WRITEBACK_PROPERTY_NAMES keys.
+ */
+export async function withSyncWriteback(apiObjectType, objectId, syncFn, toProperties) {
+  if (!objectId) {
+    return syncFn();
+  }
+
+  let response;
+  try {
+    response = await syncFn();
+  } catch (err) {
+    await recordSyncFailure(apiObjectType, objectId, err);
+    throw err;
+  }
+
+  // callNetSuite returns nothing when the RESTlet URL isn't configured
+  if (response !== undefined) {
+    const properties = toProperties(response || {});
+    rememberNetSuiteIds(apiObjectType, objectId, properties);
+    await recordSyncSuccess(apiObjectType, objectId, properties);
+  }
+
+  return response;
+}
@@ -0,0 +1,244 @@
+import fs from 'fs';
+import path from 'path';
+import { log, logger } from '../utils/logger.js';
+import { DATA_DIR, readJsonFile, writeJsonFile } from '../utils/jsonFileStore.js';
+import { config } from '../config/index.js';
+
+const ID_MAP_FILE = 'id-map.json';
+
+// NetSuite record type each HubSpot object type is created as
+export const NETSUITE_RECORD_TYPES = {
+  companies: 'customer',
+  contacts: 'contact',
+  products: 'item',
+  deals: 'estimate',
+};
+
+const KNOWN_RECORD_TYPES = [...Object.values(NETSUITE_RECORD_TYPES), 'salesorder'];
+
+// Written-back HubSpot property that also holds each record type's internal ID
+const { properties } = config.hubspot;
+const ID_PROPERTIES = {
+  customer: properties.customerId,
+  contact: properties.contactId,
+  item: properties.itemId,
+  estimate: properties.quoteId,
+  salesorder: properties.salesOrderId,
+};
+
+// "<objectType>:<hubspotId>" → { <recordType>: { internalId, tranId, updatedAt } }
+// A deal can point at both its estimate (Quote) and its salesorder.
+let entries = {};
+let loadedVersion;
+
+function keyFor(objectType, hubspotId) {
+  return `${objectType}:${hubspotId}`;
+}
+
+function fileVersion() {
+  try {
+    const { mtimeMs, size } = fs.statSync(path.join(DATA_DIR, ID_MAP_FILE));
+    return `${mtimeMs}:${size}`;
+  } catch {
+    return null;
+  }
+}
+
+// The CLI (import, backfill) and the server share the file: pick up whatever
+// another process wrote since we last read it
+function load() {
+  const version = fileVersion();
+  if (version !== loadedVersion) {
+    entries = readJsonFile(ID_MAP_FILE, {});
+    loadedVersion = version;
+  }
+  return entries;
+}
+
+/**
+ * Re-read the file, apply `change` to it and write it back, so entries another
+ * process added in the meantime are kept rather than overwritten.
+ */
+function update(change) {
+  entries = readJsonFile(ID_MAP_FILE, {});
+  change(entries);
+  writeJsonFile(ID_MAP_FILE, entries);
+  loadedVersion = fileVersion();
+}
+
+/**
+ * The NetSuite record a HubSpot record maps to: { internalId, tranId } or null.
+ */
+export function getNetSuiteRef(objectType, hubspotId, recordType = NETSUITE_RECORD_TYPES[objectType]) {
+  if (hubspotId == null) return null;
+  return load()[keyFor(objectType, hubspotId.toString())]?.[recordType] || null;
+}
+
+export function getNetSuiteId(objectType, hubspotId, recordType) {
+  return getNetSuiteRef(objectType, hubspotId, recordType)?.internalId || null;
+}
+
+/**
+ * Remember that a HubSpot record maps to a NetSuite record (from a RESTlet response or an import).
+ */
+export function setNetSuiteRef(objectType, hubspotId, recordType, { internalId, tranId } = {}) {
+  if (hubspotId == null || !internalId) return;
+
+  const key = keyFor(objectType, hubspotId.toString());
+  const current = load()[key]?.[recordType];
+
+  if (current?.internalId === internalId.toString() && (tranId == null || current.tranId === tranId)) {
+    return;
+  }
+
+  update((map) => {
+    const previous = map[key]?.[recordType];
+    map[key] = {
+      ...map[key],
+      [recordType]: {
+        internalId: internalId.toString(),
+        tranId: tranId ?? previous?.tranId ?? null,
+        updatedAt: new Date().toISOString(),
+      },
+    };
+  });
+
+  logger.debug('🔗 ID map updated', { objectType, hubspotId, recordType, internalId });
+}
+
+/**
+ * HubSpot merged records: give the surviving ID every NetSuite record the merged
+ * IDs mapped to, unless it already has its own of that type.
+ * Returns the record types copied.
+ */
+export function mergeNetSuiteRefs(objectType, survivingHubspotId, mergedHubspotIds = []) {
+  if (survivingHubspotId == null) return [];
+
+  const key = keyFor(objectType, survivingHubspotId.toString());
+  const copied = [];
+
+  update((map) => {
+    for (const mergedId of mergedHubspotIds) {
+      for (const [recordType, ref] of Object.entries(map[keyFor(objectType, mergedId.toString())] || {})) {
+        if (map[key]?.[recordType]) continue;
+
+        map[key] = { ...map[key], [recordType]: { ...ref, updatedAt: new Date().toISOString() } };
+        copied.push(recordType);
+      }
+    }
+  });
+
+  if (copied.length) {
+    logger.debug('🔗 ID map entries moved to surviving record', {
+      objectType,
+      hubspotId: survivingHubspotId,
+      mergedHubspotIds,
+      recordTypes: copied,
+    });
+  }
+
+  return copied;
+}
+
+/**
+ * Reverse lookup: which HubSpot record a NetSuite record belongs to.
+ */
+export function findHubSpotRecord(recordType, internalId) {
+  for (const [key, refs] of Object.entries(load())) {
+    if (refs[recordType]?.internalId === internalId?.toString()) {
+      const [objectType, hubspotId] = key.split(':');
+      return { objectType, hubspotId };
+    }
+  }
+  return null;
+}
+
+/**
+ * Internal ID for a fetched HubSpot record: the ID map first, then the ID we
+ * wrote back onto the record (which survives a lost DATA_DIR and HubSpot merges).
+ */
+export function resolveNetSuiteId(objectType, record, recordType = NETSUITE_RECORD_TYPES[objectType]) {
+  const mapped = getNetSuiteId(objectType, record?.id, recordType);
+  if (mapped) return mapped;
+
+  const fromProperty = record?.properties?.[ID_PROPERTIES[recordType]] || null;
+  if (fromProperty) {
+    setNetSuiteRef(objectType, record.id, recordType, { internalId: fromProperty });
+  }
+
+  return fromProperty;
+}
+
+/**
+ * HubSpot property to request alongside a record so resolveNetSuiteId can fall back to it.
+ */
+export function getIdProperty(objectType, recordType = NETSUITE_RECORD_TYPES[objectType]) {
+  return ID_PROPERTIES[recordType];
+}
+
+export const ID_MAP_COLUMNS = ['objectType', 'hubspotId', 'recordType', 'internalId', 'tranId'];
+
+/**
+ * Every mapping as flat rows (ID_MAP_COLUMNS), optionally for one object type.
+ */
+export function exportIdMap({ objectType } = {}) {
+  const rows = [];
+
+  for (const [key, refs] of Object.entries(load())) {
+    const [type, hubspotId] = key.split(':');
+    if (objectType && type !== objectType) continue;
+
+    for (const [recordType, ref] of Object.entries(refs)) {
+      rows.push({ objectType: type, hubspotId, recordType, internalId: ref.internalId, tranId: ref.tranId });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Load rows (e.g. a NetSuite saved-search export) into the map.
+ * `objectType` fills in rows without one; `recordType` defaults per object type.
+ * Returns { imported, skipped, problems }.
+ */
+export function importIdMap(rows, { objectType: defaultObjectType } = {}) {
+  const summary = { imported: 0, skipped: 0, problems: [] };
+  const imported = {};
+
+  rows.forEach((row, i) => {
+    const objectType = row.objectType || defaultObjectType;
+    const recordType = (row.recordType || NETSUITE_RECORD_TYPES[objectType] || '').toLowerCase();
+    const where = `row ${i + 1}`;
+
+    if (!NETSUITE_RECORD_TYPES[objectType]) {
+      summary.problems.push(`${where}: unknown objectType "${objectType ?? ''}"`);
+    } else if (!KNOWN_RECORD_TYPES.includes(recordType)) {
+      summary.problems.push(`${where}: unknown recordType "${recordType}"`);
+    } else if (!row.hubspotId || !row.internalId) {
+      summary.problems.push(`${where}: hubspotId and internalId are required`);
+    } else {
+      const key = keyFor(objectType, row.hubspotId.toString());
+      imported[key] = {
+        ...imported[key],
+        [recordType]: {
+          internalId: row.internalId.toString(),
+          tranId: row.tranId || null,
+          updatedAt: new Date().toISOString(),
+        },
+      };
+      summary.imported += 1;
+      return;
+    }
+
+    summary.skipped += 1;
+  });
+
+  update((map) => {
+    for (const [key, refs] of Object.entries(imported)) {
+      map[key] = { ...map[key], ...refs };
+    }
+  });
+  log('📥 ID map import finished', { imported: summary.imported, skipped: summary.skipped });
+
+  return summary;
+}
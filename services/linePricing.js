@@ -0,0 +1,222 @@
+import { createJsonConfigFile } from '../utils/jsonConfigFile.js';
+import { config } from '../config/index.js';
+
+const DISCOUNT_MODES = ['rate', 'item'];
+
+// HubSpot line item properties the pricing reads (on top of the line_items field mapping)
+export const PRICING_LINE_PROPERTIES = [
+  'price',
+  'amount',
+  'discount',
+  'hs_discount_percentage',
+  'hs_line_item_currency_code',
+  'recurringbillingfrequency',
+  'hs_recurring_billing_period',
+  'hs_recurring_billing_start_date',
+];
+
+export const PRICING_DEAL_PROPERTIES = ['deal_currency_code'];
+
+// Company properties the tax code is looked up by
+export const LOCATION_PROPERTIES = ['country', 'state'];
+
+function isTable(value) {
+  return value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validatePricing(raw) {
+  const problems = [];
+
+  for (const key of ['currencies', 'taxCodes', 'billingFrequencies']) {
+    if (raw[key] !== undefined && !isTable(raw[key])) {
+      problems.push(`"${key}" must be an object`);
+    }
+  }
+
+  if (raw.defaultCurrency != null && typeof raw.defaultCurrency !== 'string') {
+    problems.push('"defaultCurrency" must be a currency code');
+  }
+
+  const discount = raw.discount || {};
+  if (!DISCOUNT_MODES.includes(discount.mode || 'rate')) {
+    problems.push(`discount.mode: must be one of ${DISCOUNT_MODES.join(', ')}`);
+  }
+  if (discount.mode === 'item' && !discount.itemInternalId) {
+    problems.push('discount.itemInternalId: required when discount.mode is "item"');
+  }
+
+  return problems;
+}
+
+const pricingFile = createJsonConfigFile('linePricing.json', config.linePricingFile, validatePricing, {
+  label: 'line pricing',
+  emoji: '💲',
+  build: (raw) => ({
+    currencies: raw.currencies || {},
+    defaultCurrency: raw.defaultCurrency || null,
+    taxCodes: raw.taxCodes || {},
+    discount: { mode: 'rate', ...raw.discount },
+    billingFrequencies: raw.billingFrequencies || {},
+  }),
+});
+
+/**
+ * Load and validate the pricing tables (LINE_PRICING_FILE, else config/linePricing.json).
+ */
+export function loadLinePricing(filePath) {
+  return pricingFile.load(filePath);
+}
+
+function getPricing() {
+  return pricingFile.get();
+}
+
+/**
+ * Whether the company's location is needed (a tax code table is configured).
+ */
+export function usesTaxCodes() {
+  return Object.keys(getPricing().taxCodes).length > 0;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = parseFloat(value);
+  return isNaN(n) ? null : n;
+}
+
+function normalizeKey(value) {
+  return (value || '').toString().trim().toUpperCase();
+}
+
+// Drop float noise (19.99 * 0.9 → 17.991, not 17.991000000000003)
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// ISO 8601 period (P12M, P1Y, P2Y6M) → months; null if unparseable
+function periodToMonths(period) {
+  const match = /^P(?:(\d+)Y)?(?:(\d+)M)?$/i.exec((period || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  return parseInt(match[1] || '0', 10) * 12 + parseInt(match[2] || '0', 10);
+}
+
+/**
+ * Deal-level pricing: { currencyCode, currency, taxCode, problems }.
+ * `currency` is the NetSuite currency internal ID from the "currencies" table
+ * (null when the table is empty: the RESTlet gets the ISO code only).
+ * `taxCode` comes from "taxCodes" keyed "COUNTRY:STATE", then "COUNTRY", then "*".
+ */
+export function resolveDealPricing(dealProps = {}, companyProps = {}) {
+  const { currencies, defaultCurrency, taxCodes } = getPricing();
+  const problems = [];
+
+  const currencyCode = normalizeKey(dealProps.deal_currency_code || defaultCurrency) || null;
+  let currency = null;
+
+  if (currencyCode && Object.keys(currencies).length) {
+    currency = currencies[currencyCode] ?? null;
+    if (currency == null) {
+      problems.push(`Deal currency ${currencyCode} has no NetSuite currency configured`);
+    }
+  }
+
+  let taxCode = null;
+
+  if (usesTaxCodes()) {
+    const country = normalizeKey(companyProps.country);
+    const state = normalizeKey(companyProps.state);
+    const keys = [country && state && `${country}:${state}`, country, '*'].filter(Boolean);
+
+    const match = keys.find((key) => taxCodes[key] != null);
+    if (match) {
+      taxCode = taxCodes[match];
+    } else {
+      problems.push(
+        `No tax code for the company's location (${[country, state].filter(Boolean).join(', ') || 'no country set'})`
+      );
+    }
+  }
+
+  return { currencyCode, currency, taxCode, problems };
+}
+
+/**
+ * Per-line pricing from the line item's properties: { fields, problems }.
+ * `fields` holds the per-unit `rate`, the discount (folded into the rate, or a
+ * separate `discount` for a NetSuite discount item), `taxCode` and, for
+ * recurring lines, `billingFrequency`, `termMonths` and `billingStartDate`.
+ */
+export function priceLine(props = {}, { quantity, currencyCode, taxCode } = {}) {
+  const { discount: discountConfig, billingFrequencies } = getPricing();
+  const fields = {};
+  const problems = [];
+
+  // price is per unit; amount is the discounted line total, only a fallback
+  const listPrice = toNumber(props.price);
+  const amount = toNumber(props.amount);
+  const discountPercent = toNumber(props.hs_discount_percentage) || 0;
+  const unitDiscount = toNumber(props.discount) || 0;
+
+  if (listPrice === null) {
+    if (amount !== null && quantity > 0) {
+      // The discount is already in the total: amount / quantity is the final rate
+      const rate = round(amount / quantity);
+      if (rate < 0) {
+        problems.push(`has a negative amount (${amount})`);
+      } else {
+        fields.rate = rate;
+      }
+    } else {
+      problems.push('has no price');
+    }
+  } else if (listPrice < 0) {
+    problems.push(`has a negative price (${listPrice})`);
+  } else if (discountPercent < 0 || discountPercent > 100) {
+    problems.push(`has a discount of ${discountPercent}%`);
+  } else if (unitDiscount < 0 || unitDiscount > listPrice) {
+    problems.push(`has a unit discount of ${unitDiscount} on a price of ${listPrice}`);
+  } else if (discountConfig.mode === 'item' && (discountPercent || unitDiscount)) {
+    fields.rate = listPrice;
+    fields.discount = {
+      itemInternalId: discountConfig.itemInternalId,
+      rate: discountPercent ? `-${discountPercent}%` : round(-unitDiscount * (quantity || 0)),
+    };
+  } else if (discountPercent) {
+    fields.rate = round(listPrice * (1 - discountPercent / 100));
+  } else {
+    fields.rate = round(listPrice - unitDiscount);
+  }
+
+  const lineCurrency = normalizeKey(props.hs_line_item_currency_code);
+  if (lineCurrency && currencyCode && lineCurrency !== currencyCode) {
+    problems.push(`is priced in ${lineCurrency} but the deal is in ${currencyCode}`);
+  }
+
+  if (taxCode != null) {
+    fields.taxCode = taxCode;
+  }
+
+  const frequency = props.recurringbillingfrequency;
+  if (frequency) {
+    if (billingFrequencies[frequency] == null) {
+      problems.push(`has billing frequency "${frequency}" with no NetSuite equivalent configured`);
+    } else {
+      fields.billingFrequency = billingFrequencies[frequency];
+    }
+
+    if (props.hs_recurring_billing_period) {
+      const termMonths = periodToMonths(props.hs_recurring_billing_period);
+      if (termMonths === null) {
+        problems.push(`has an unreadable billing term "${props.hs_recurring_billing_period}"`);
+      } else {
+        fields.termMonths = termMonths;
+      }
+    }
+
+    if (props.hs_recurring_billing_start_date) {
+      fields.billingStartDate = props.hs_recurring_billing_start_date;
+    }
+  }
+
+  return { fields, problems };
+}
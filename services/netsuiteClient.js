@@ -0,0 +1,327 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { log, logger } from '../utils/logger.js';
+import { createConcurrencyLimiter } from '../utils/concurrencyLimiter.js';
+import { recordAudit } from './auditStore.js';
+import { getContext } from '../utils/requestContext.js';
+import { netsuiteRequestDuration, retriesTotal } from '../utils/metrics.js';
+import { config } from '../config/index.js';
+
+// Size this to the account's RESTlet concurrency limit (shared with any other integrations)
+const CONCURRENCY_LIMIT = config.netsuite.concurrencyLimit;
+const MAX_RETRIES = config.netsuite.maxRetries;
+const BASE_RETRY_DELAY_MS = config.netsuite.retryBaseMs;
+const REQUEST_TIMEOUT_MS = config.netsuite.requestTimeoutMs;
+
+const TRANSIENT_ERROR_CODES = [
+  'SSS_REQUEST_LIMIT_EXCEEDED',
+  'CONCURRENCY_LIMIT_EXCEEDED',
+  'SSS_CONCURRENCY_LIMIT_EXCEEDED',
+  'WS_CONCUR_SESSION_DISALLWD',
+  'UNEXPECTED_ERROR',
+];
+const AUTH_ERROR_CODES = [
+  'INVALID_LOGIN_ATTEMPT',
+  'INVALID_LOGIN_CREDENTIALS',
+  'USER_ERROR_INVALID_TOKEN',
+  'INSUFFICIENT_PERMISSION',
+];
+const NOT_FOUND_ERROR_CODES = ['RCRD_DSNT_EXIST', 'SSS_INVALID_SCRIPTLET_ID'];
+// The connection never opened, so NetSuite can't have seen the request
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+const limiter = createConcurrencyLimiter(CONCURRENCY_LIMIT);
+
+/**
+ * A failed RESTlet call. Subclasses say what kind of failure it was;
+ * `retryable` tells the queue whether trying again can help.
+ */
+export class NetSuiteError extends Error {
+  constructor(message, { status, code, data, retryable = false } = {}) {
+    super(message);
+    this.name = 'NetSuiteError';
+    this.status = status ?? null;
+    this.code = code ?? null;
+    this.data = data;
+    this.retryable = retryable;
+  }
+}
+
+export class NetSuiteValidationError extends NetSuiteError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetSuiteValidationError';
+  }
+}
+
+export class NetSuiteAuthError extends NetSuiteError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetSuiteAuthError';
+  }
+}
+
+export class NetSuiteNotFoundError extends NetSuiteError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetSuiteNotFoundError';
+  }
+}
+
+export class NetSuiteTransientError extends NetSuiteError {
+  constructor(message, details) {
+    super(message, { ...details, retryable: true });
+    this.name = 'NetSuiteTransientError';
+  }
+}
+
+/**
+ * NetSuite error bodies look like { error: { code, message } }, sometimes with
+ * the message itself being a JSON string. Dig the code / message out of either.
+ */
+function parseNetSuiteErrorBody(data) {
+  let error = data?.error || data;
+
+  if (typeof error?.message === 'string' && error.message.trim().startsWith('{')) {
+    try {
+      const inner = JSON.parse(error.message);
+      const innerError = inner.error || inner;
+      // SuiteScript errors carry the specific code in `name` (e.g. INVALID_FLD_VALUE)
+      error = { ...error, ...innerError, code: innerError.name || innerError.code || error.code };
+    } catch {
+      // not JSON after all; keep the raw message
+    }
+  }
+
+  return {
+    code: error?.code || error?.name || null,
+    message: error?.message || (typeof data === 'string' ? data : null),
+  };
+}
+
+/**
+ * Turn an axios error into the matching NetSuiteError subclass.
+ */
+export function classifyNetSuiteError(err) {
+  const status = err.response?.status;
+
+  if (!err.response) {
+    const details = { code: err.code, status: null };
+
+    // Anything that isn't an axios error failed before the request went out
+    if (!axios.isAxiosError(err)) {
+      return new NetSuiteError(`NetSuite request failed: ${err.message}`, details);
+    }
+
+    // A POST that timed out or was reset may have created the record anyway;
+    // sending it again would create a duplicate, so only retry it if it was never sent
+    if (err.config?.method?.toUpperCase() === 'POST' && !NOT_SENT_ERROR_CODES.includes(err.code)) {
+      return new NetSuiteError(
+        `NetSuite may have applied the POST before the connection dropped (check NetSuite before replaying): ${err.message}`,
+        details
+      );
+    }
+
+    return new NetSuiteTransientError(`NetSuite network error: ${err.message}`, details);
+  }
+
+  const { code, message } = parseNetSuiteErrorBody(err.response.data);
+  const details = { status, code, data: err.response.data };
+  const text = `${code || `HTTP ${status}`}: ${message || err.message}`;
+
+  if (status === 429 || status >= 500 || TRANSIENT_ERROR_CODES.includes(code)) {
+    return new NetSuiteTransientError(text, details);
+  }
+  if (status === 401 || status === 403 || AUTH_ERROR_CODES.includes(code)) {
+    return new NetSuiteAuthError(text, details);
+  }
+  if (status === 404 || NOT_FOUND_ERROR_CODES.includes(code)) {
+    return new NetSuiteNotFoundError(text, details);
+  }
+  if (status === 400) {
+    return new NetSuiteValidationError(text, details);
+  }
+
+  return new NetSuiteError(text, details);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Build OAuth 1.0a signature using HMAC-SHA256 and including query params.
+ */
+function buildOAuthHeader(method, fullUrl) {
+  const {
+    accountId: NS_ACCOUNT_ID,
+    consumerKey: NS_CONSUMER_KEY,
+    consumerSecret: NS_CONSUMER_SECRET,
+    tokenId: NS_TOKEN_ID,
+    tokenSecret: NS_TOKEN_SECRET,
+  } = config.netsuite;
+
+  if (
+    !NS_ACCOUNT_ID ||
+    !NS_CONSUMER_KEY ||
+    !NS_CONSUMER_SECRET ||
+    !NS_TOKEN_ID ||
+    !NS_TOKEN_SECRET
+  ) {
+    throw new Error('NetSuite TBA environment variables are not fully set');
+  }
+
+  method = method.toUpperCase();
+
+  const url = new URL(fullUrl);
+
+  const oauthParams = {
+    oauth_consumer_key: NS_CONSUMER_KEY,
+    oauth_token: NS_TOKEN_ID,
+    oauth_signature_method: 'HMAC-SHA256',
+    oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+    oauth_nonce: crypto.randomBytes(16).toString('hex'),
+    oauth_version: '1.0',
+  };
+
+  const queryParams = Object.fromEntries(url.searchParams);
+
+  const signatureParams = {
+    ...oauthParams,
+    ...queryParams,
+  };
+
+  const sortedParamString = Object.keys(signatureParams)
+    .sort()
+    .map(
+      (key) =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(signatureParams[key])}`
+    )
+    .join('&');
+
+  const baseString =
+    method +
+    '&' +
+    encodeURIComponent(url.origin + url.pathname) +
+    '&' +
+    encodeURIComponent(sortedParamString);
+
+  const signingKey = `${NS_CONSUMER_SECRET}&${NS_TOKEN_SECRET}`;
+
+  const oauthSignature = crypto
+    .createHmac('sha256', signingKey)
+    .update(baseString)
+    .digest('base64');
+
+  const header =
+    `OAuth realm="${NS_ACCOUNT_ID}",` +
+    `oauth_consumer_key="${NS_CONSUMER_KEY}",` +
+    `oauth_token="${NS_TOKEN_ID}",` +
+    `oauth_signature_method="HMAC-SHA256",` +
+    `oauth_timestamp="${oauthParams.oauth_timestamp}",` +
+    `oauth_nonce="${oauthParams.oauth_nonce}",` +
+    `oauth_version="1.0",` +
+    `oauth_signature="${encodeURIComponent(oauthSignature)}"`;
+
+  return header;
+}
+
+/**
+ * Call NetSuite RESTlet with a given HTTP method.
+ * Requests share a concurrency limiter; transient failures are retried with
+ * backoff and a freshly signed OAuth header. Failures throw a NetSuiteError subclass.
+ * Health checks pass `{ maxRetries: 0, audit: false, limited: false }` to fail fast, stay
+ * out of the audit log and not wait behind a burst of syncs for a slot.
+ */
+export async function callNetSuite(
+  method,
+  url,
+  payload,
+  { maxRetries = MAX_RETRIES, audit = true, limited = true } = {}
+) {
+  if (!url) {
+    log('NetSuite RESTlet URL not set — skipping NetSuite call.');
+    return;
+  }
+
+  if (audit) recordAudit({ type: 'netsuite_request', method, url, payload });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const send = async () => {
+        // New nonce + timestamp every attempt; NetSuite rejects replayed nonces
+        const authHeader = buildOAuthHeader(method, url);
+        const endTimer = netsuiteRequestDuration.startTimer({ method: method.toUpperCase() });
+
+        const response = await axios({
+          method: method.toLowerCase(),
+          url,
+          data: payload,
+          timeout: REQUEST_TIMEOUT_MS,
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: authHeader,
+            Cookie: 'NS_ROUTING_VERSION=2',
+            // Lets RESTlet logs be tied back to our log lines
+            'X-Correlation-Id': getContext().correlationId || '',
+          },
+        }).catch((err) => {
+          endTimer({ status: err.response?.status || 'network_error' });
+          throw err;
+        });
+
+        endTimer({ status: response.status });
+        return response.data;
+      };
+
+      const data = limited ? await limiter.run(send) : await send();
+
+      logger.debug('NetSuite RESTlet response:', data);
+      if (audit) recordAudit({ type: 'netsuite_response', method, url, response: data });
+      return data;
+    } catch (err) {
+      const nsError = classifyNetSuiteError(err);
+
+      if (nsError.retryable && attempt < maxRetries) {
+        const delay = Math.round(BASE_RETRY_DELAY_MS * 2 ** attempt * (0.5 + Math.random()));
+        retriesTotal.inc({ target: 'netsuite' });
+
+        logger.warn('🔁 NetSuite call failed, retrying', {
+          method,
+          url,
+          status: nsError.status,
+          code: nsError.code,
+          attempt: attempt + 1,
+          retryInMs: delay,
+        });
+        await sleep(delay);
+        continue;
+      }
+
+      logger.error('NetSuite error:', {
+        type: nsError.name,
+        status: nsError.status,
+        code: nsError.code,
+        message: nsError.message,
+      });
+      if (audit) {
+        recordAudit({
+          type: 'netsuite_error',
+          method,
+          url,
+          errorType: nsError.name,
+          code: nsError.code,
+          status: nsError.status,
+          error: nsError.message,
+          response: nsError.data,
+        });
+      }
+      throw nsError;
+    }
+  }
+}
+
+/**
+ * Number of RESTlet requests currently running / waiting for a slot.
+ */
+export function getNetSuiteConcurrency() {
+  return { inFlight: limiter.active, waiting: limiter.pending };
+}
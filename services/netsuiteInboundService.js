@@ -0,0 +1,100 @@
+import { log } from '../utils/logger.js';
+import { updateHubSpotRecord } from './hubspotClient.js';
+import { config } from '../config/index.js';
+import { findHubSpotRecord } from './idMap.js';
+
+const { properties } = config.hubspot;
+
+// HubSpot deal properties we write NetSuite order lifecycle data into
+const DEAL_PROPERTY_NAMES = {
+  orderStatus: properties.orderStatus,
+  salesOrderNumber: properties.salesOrderNumber,
+  invoiceNumber: properties.invoiceNumber,
+  amountInvoiced: properties.amountInvoiced,
+  amountPaid: properties.amountPaid,
+  trackingNumbers: properties.trackingNumbers,
+};
+
+/**
+ * Work out the HubSpot deal ID from a NetSuite payload: directly (hubspotDealId),
+ * via the HSDEAL_<id> externalId convention, or from the ID map by the
+ * sales order / quote internal ID.
+ */
+export function resolveHubSpotDealId(payload) {
+  if (payload.hubspotDealId) {
+    return payload.hubspotDealId.toString();
+  }
+
+  const match = /^HSDEAL_(\d+)$/.exec(payload.externalId || '');
+  if (match) {
+    return match[1];
+  }
+
+  const mapped =
+    (payload.salesOrderId && findHubSpotRecord('salesorder', payload.salesOrderId)) ||
+    (payload.quoteId && findHubSpotRecord('estimate', payload.quoteId));
+
+  return mapped?.objectType === 'deals' ? mapped.hubspotId : null;
+}
+
+function buildDealProperties(payload) {
+  const trackingNumbers = Array.isArray(payload.trackingNumbers)
+    ? payload.trackingNumbers.join(', ')
+    : payload.trackingNumbers;
+
+  const values = {
+    orderStatus: payload.status,
+    salesOrderNumber: payload.salesOrderNumber,
+    invoiceNumber: payload.invoiceNumber,
+    amountInvoiced: payload.amountInvoiced,
+    amountPaid: payload.amountPaid,
+    trackingNumbers,
+  };
+
+  const properties = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (value !== undefined && value !== null) {
+      properties[DEAL_PROPERTY_NAMES[key]] = value;
+    }
+  }
+
+  return properties;
+}
+
+/**
+ * NetSuite order lifecycle event (fulfilled / invoiced / paid) → HubSpot deal update.
+ *
+ * Expected payload from the NetSuite user-event script:
+ * {
+ *   externalId: 'HSDEAL_123' (or hubspotDealId: '123'),
+ *   recordType: 'salesorder' | 'itemfulfillment' | 'invoice' | 'customerpayment',
+ *   status, salesOrderNumber, invoiceNumber, amountInvoiced, amountPaid,
+ *   trackingNumbers: ['1Z...']
+ * }
+ */
+export async function handleNetSuiteEvent(payload) {
+  const dealId = resolveHubSpotDealId(payload);
+
+  if (!dealId) {
+    const err = new Error('Could not resolve HubSpot deal from hubspotDealId / externalId');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const properties = buildDealProperties(payload);
+
+  log('📨 NetSuite lifecycle event → updating HubSpot deal', {
+    dealId,
+    recordType: payload.recordType,
+    properties,
+  });
+
+  if (!Object.keys(properties).length) {
+    log('Nothing to update on HubSpot deal', { dealId });
+    return { dealId, updated: false };
+  }
+
+  await updateHubSpotRecord('deals', dealId, properties);
+
+  return { dealId, updated: true, properties };
+}
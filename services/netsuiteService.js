@@ -1,129 +1,65 @@
-import axios from 'axios';
-import crypto from 'crypto';
-import { log } from '../utils/logger.js';
-
-const HUBSPOT_TOKEN = process.env.HUBSPOT_ACCESS_TOKEN;
-const HUBSPOT_BASE_URL = 'https://api.hubapi.com';
-const CLOSED_WON_STAGE_ID = process.env.HUBSPOT_CLOSED_WON_STAGE_ID || 'closedwon';
+import { log, logger } from '../utils/logger.js';
+import {
+  withSyncWriteback,
+  extractNetSuiteIds,
+  WRITEBACK_PROPERTY_NAMES,
+} from './hubspotWriteback.js';
+import {
+  hubspotRequest,
+  hubspotPaginate,
+  batchReadHubSpotRecords,
+} from './hubspotClient.js';
+import { callNetSuite, NetSuiteValidationError } from './netsuiteClient.js';
+import { createTtlCache } from '../utils/ttlCache.js';
+import { getCompanyAssociationRules, getHubSpotProperties, mapProperties } from './fieldMapping.js';
+import { resolveDealCompanies } from './dealCompanies.js';
+import { DealValidationError, RecordDataError, validateDeal } from './dealValidation.js';
+import {
+  NETSUITE_RECORD_TYPES,
+  getNetSuiteId,
+  resolveNetSuiteId,
+  getIdProperty,
+  setNetSuiteRef,
+  mergeNetSuiteRefs,
+} from './idMap.js';
+import { recordAudit } from './auditStore.js';
+import { withObjectLock } from './objectLock.js';
+import {
+  LOCATION_PROPERTIES,
+  PRICING_LINE_PROPERTIES,
+  priceLine,
+  resolveDealPricing,
+  usesTaxCodes,
+} from './linePricing.js';
+import { config } from '../config/index.js';
+
+const { restlets } = config.netsuite;
+
+const productIdentifierCache = createTtlCache(config.productCacheTtlMs);
 
 
 /**
- * Build OAuth 1.0a signature using HMAC-SHA256 and including query params.
+ * Build the { hubspotRecord, fields, internalId } RESTlet payload from the field mapping.
+ * `internalId` comes from the ID map (null for records NetSuite hasn't seen yet).
+ * Throws when a required field has no value so the error lands on the HubSpot record.
  */
-function buildOAuthHeader(method, fullUrl) {
-  const {
-    NS_ACCOUNT_ID,
-    NS_CONSUMER_KEY,
-    NS_CONSUMER_SECRET,
-    NS_TOKEN_ID,
-    NS_TOKEN_SECRET,
-  } = process.env;
-
-  if (
-    !NS_ACCOUNT_ID ||
-    !NS_CONSUMER_KEY ||
-    !NS_CONSUMER_SECRET ||
-    !NS_TOKEN_ID ||
-    !NS_TOKEN_SECRET
-  ) {
-    throw new Error('NetSuite TBA environment variables are not fully set');
-  }
-
-  method = method.toUpperCase();
-
-  const url = new URL(fullUrl);
+function buildMappedPayload(objectType, record) {
+  const { fields, missing } = mapProperties(objectType, record.properties);
 
-  const oauthParams = {
-    oauth_consumer_key: NS_CONSUMER_KEY,
-    oauth_token: NS_TOKEN_ID,
-    oauth_signature_method: 'HMAC-SHA256',
-    oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
-    oauth_nonce: crypto.randomBytes(16).toString('hex'),
-    oauth_version: '1.0',
-  };
-
-  const queryParams = Object.fromEntries(url.searchParams);
-
-  const signatureParams = {
-    ...oauthParams,
-    ...queryParams,
-  };
-
-  const sortedParamString = Object.keys(signatureParams)
-    .sort()
-    .map(
-      (key) =>
-        `${encodeURIComponent(key)}=${encodeURIComponent(signatureParams[key])}`
-    )
-    .join('&');
-
-  const baseString =
-    method +
-    '&' +
-    encodeURIComponent(url.origin + url.pathname) +
-    '&' +
-    encodeURIComponent(sortedParamString);
-
-  const signingKey = `${NS_CONSUMER_SECRET}&${NS_TOKEN_SECRET}`;
-
-  const oauthSignature = crypto
-    .createHmac('sha256', signingKey)
-    .update(baseString)
-    .digest('base64');
-
-  const header =
-    `OAuth realm="${NS_ACCOUNT_ID}",` +
-    `oauth_consumer_key="${NS_CONSUMER_KEY}",` +
-    `oauth_token="${NS_TOKEN_ID}",` +
-    `oauth_signature_method="HMAC-SHA256",` +
-    `oauth_timestamp="${oauthParams.oauth_timestamp}",` +
-    `oauth_nonce="${oauthParams.oauth_nonce}",` +
-    `oauth_version="1.0",` +
-    `oauth_signature="${encodeURIComponent(oauthSignature)}"`;
-
-  return header;
-}
-
-/**
- * Call NetSuite RESTlet with a given HTTP method.
- */
-async function callNetSuite(method, url, payload) {
-  if (!url) {
-    log('NetSuite RESTlet URL not set — skipping NetSuite call.');
-    return;
+  if (missing.length) {
+    throw new RecordDataError(
+      `HubSpot ${objectType} ${record.id} is missing required field(s): ${missing.join(', ')}`
+    );
   }
 
-  const authHeader = buildOAuthHeader(method, url);
-
-  try {
-    const response = await axios({
-      method: method.toLowerCase(),
-      url,
-      data: payload,
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: authHeader,
-        Cookie: 'NS_ROUTING_VERSION=2',
-      },
-    });
-
-    log('NetSuite RESTlet response:', response.data);
-    return response.data;
-  } catch (err) {
-    if (err.response) {
-      log('NetSuite error:', {
-        status: err.response.status,
-        data: err.response.data,
-      });
-    } else {
-      log('NetSuite error:', err.message);
-    }
-    throw err;
-  }
+  return {
+    hubspotRecord: record,
+    fields,
+    internalId: resolveNetSuiteId(objectType, record),
+  };
 }
 
 
-
 /**
  * Fetch full HubSpot company (with address fields) and merge into the webhook payload.
  */
@@ -131,48 +67,25 @@ async function enrichCompanyWithAddress(company) {
   const companyId = company?.id || company?.objectId;
 
   if (!companyId) {
-    log('⚠️ enrichCompanyWithAddress called without company id; returning original object');
-    return company;
-  }
-
-  if (!HUBSPOT_TOKEN) {
-    log('⚠️ HUBSPOT_ACCESS_TOKEN not set; cannot fetch company address. Returning original object.');
+    logger.warn('⚠️ enrichCompanyWithAddress called without company id; returning original object');
     return company;
   }
 
-  // 👉 Adjust this list if your address fields use custom property names
-  const addressProps = [
-    'address',
-    'address2',
-    'city',
-    'state',
-    'zip',
-    'country',
-  ];
-
-  const propsParam = addressProps.join(',');
-
-  const url = `${HUBSPOT_BASE_URL}/crm/v3/objects/companies/${companyId}?properties=${propsParam}`;
+  // 👉 Property list comes from config/fieldMappings.json (companies)
+  const propsParam = getHubSpotProperties('companies').join(',');
 
   try {
-    log('🔎 Fetching HubSpot company for address enrichment:', { companyId, url });
+    logger.debug('🔎 Fetching HubSpot company for address enrichment:', { companyId });
 
-    const response = await axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${HUBSPOT_TOKEN}`,
-      },
+    const data = await hubspotRequest('GET', `/crm/v3/objects/companies/${companyId}`, {
+      params: { properties: propsParam },
     });
 
-    const hsProps = response.data?.properties || {};
+    const hsProps = data?.properties || {};
 
-    log('🏢 HubSpot company address properties:', {
+    logger.debug('🏢 HubSpot company address properties:', {
       companyId,
-      address: hsProps.address,
-      address2: hsProps.address2,
-      city: hsProps.city,
-      state: hsProps.state,
-      zip: hsProps.zip,
-      country: hsProps.country,
+      ...hsProps,
     });
 
     // Merge HS properties into whatever we got from the webhook
@@ -184,18 +97,12 @@ async function enrichCompanyWithAddress(company) {
       },
     };
   } catch (err) {
-    if (err.response) {
-      log('❌ Error fetching HubSpot company for address', {
-        companyId,
-        status: err.response.status,
-        data: err.response.data,
-      });
-    } else {
-      log('❌ Error fetching HubSpot company for address', {
-        companyId,
-        message: err.message,
-      });
-    }
+    logger.error('❌ Error fetching HubSpot company for address', {
+      companyId,
+      status: err.status,
+      category: err.category,
+      message: err.message,
+    });
 
     // Fail soft: still send something to NetSuite
     return company;
@@ -210,11 +117,17 @@ export async function createCustomerInNS(company) {
 
   const companyWithAddress = await enrichCompanyWithAddress(company);
 
-  const payload = {
-    hubspotRecord: companyWithAddress,
-  };
-
-  return callNetSuite('POST', process.env.NS_RESTLET_CUSTOMER_URL, payload);
+  return withSyncWriteback(
+    'companies',
+    company.id,
+    () =>
+      callNetSuite(
+        'POST',
+        restlets.customer,
+        buildMappedPayload('companies', companyWithAddress)
+      ),
+    (response) => ({ customerId: extractNetSuiteIds(response).internalId })
+  );
 }
 
 
@@ -225,45 +138,201 @@ export async function updateCustomerInNS(company) {
 
   const companyWithAddress = await enrichCompanyWithAddress(company);
 
-  const payload = {
-    hubspotRecord: companyWithAddress,
-  };
+  return withSyncWriteback(
+    'companies',
+    company.id,
+    () =>
+      callNetSuite(
+        'PUT',
+        restlets.customer,
+        buildMappedPayload('companies', companyWithAddress)
+      ),
+    (response) => ({ customerId: extractNetSuiteIds(response).internalId })
+  );
+}
+
 
-  return callNetSuite('PUT', process.env.NS_RESTLET_CUSTOMER_URL, payload);
+// Pick the contact's company: the primary (contact_to_company) association wins
+function getContactCompanyId(contact) {
+  const results = contact.associations?.companies?.results || [];
+  const primary = results.find((r) => r.type === 'contact_to_company');
+  const chosen = primary || results[0];
+
+  return chosen?.id?.toString() || null;
 }
 
+/**
+ * The NetSuite customer internal ID for a HubSpot company, or null: the ID map
+ * first, then the netsuite_customer_id we wrote back onto the company.
+ */
+async function fetchCompanyCustomerId(hubspotCompanyId) {
+  const mapped = getNetSuiteId('companies', hubspotCompanyId);
+  if (mapped) return mapped;
+
+  const customerProp = WRITEBACK_PROPERTY_NAMES.customerId;
+  const company = await hubspotRequest(
+    'GET',
+    `/crm/v3/objects/companies/${hubspotCompanyId}`,
+    { params: { properties: customerProp } }
+  );
 
-// HubSpot Product → NetSuite Item (still POST, placeholder for later)
-export async function createItemInNS(product) {
-  log('Creating Item in NetSuite:', product.id);
+  return resolveNetSuiteId('companies', company);
+}
 
-  const payload = {
-    hubspotRecord: product,
-  };
+/**
+ * The deal's company as the Quote needs it: { customerInternalId, properties }.
+ * HubSpot is only asked when the ID map doesn't know the customer or the
+ * company's location is needed for the tax code.
+ */
+async function fetchQuoteCompany(hubspotCompanyId) {
+  const mapped = getNetSuiteId('companies', hubspotCompanyId);
+  if (mapped && !usesTaxCodes()) {
+    return { customerInternalId: mapped, properties: {} };
+  }
+
+  const company = await hubspotRequest(
+    'GET',
+    `/crm/v3/objects/companies/${hubspotCompanyId}`,
+    { params: { properties: [WRITEBACK_PROPERTY_NAMES.customerId, ...LOCATION_PROPERTIES].join(',') } }
+  );
 
-  return callNetSuite('POST', process.env.NS_RESTLET_ITEM_URL, payload);
+  return {
+    customerInternalId: mapped || resolveNetSuiteId('companies', company),
+    properties: company.properties || {},
+  };
 }
 
+/**
+ * Resolve the NetSuite customer a contact belongs to, via the
+ * netsuite_customer_id we wrote back onto the HubSpot company.
+ */
+async function resolveParentCustomer(contact) {
+  const hubspotCompanyId = getContactCompanyId(contact);
+
+  if (!hubspotCompanyId) {
+    logger.warn('⚠️ Contact has no associated company; syncing without a parent customer', {
+      contactId: contact.id,
+    });
+    return { hubspotCompanyId: null, customerInternalId: null };
+  }
 
-// Helper: fetch deal associations when they're not present on the deal object
-async function fetchDealAssociations(dealId, toObjectType) {
-  if (!HUBSPOT_TOKEN) {
-    throw new Error('HUBSPOT_ACCESS_TOKEN is not set (fetchDealAssociations)');
+  const customerInternalId = await fetchCompanyCustomerId(hubspotCompanyId);
+
+  if (!customerInternalId) {
+    // Throwing lets the queue retry once the company has been synced
+    throw new Error(
+      `Company ${hubspotCompanyId} for contact ${contact.id} has no NetSuite customer yet`
+    );
   }
 
-  const url = `${HUBSPOT_BASE_URL}/crm/v3/objects/deals/${dealId}/associations/${toObjectType}?limit=100`;
+  return { hubspotCompanyId, customerInternalId };
+}
 
-  log(`🔎 Fetching HubSpot deal associations: ${url}`);
+async function syncContactInNS(method, contact, { previousHubspotCompanyId } = {}) {
+  return withSyncWriteback(
+    'contacts',
+    contact.id,
+    async () => {
+      const parent = await resolveParentCustomer(contact);
+
+      const payload = {
+        ...buildMappedPayload('contacts', contact),
+        ...parent,
+        previousHubspotCompanyId: previousHubspotCompanyId || null,
+      };
+
+      logger.debug('👤 Contact payload for NetSuite:', {
+        contactId: contact.id,
+        method,
+        hubspotCompanyId: payload.hubspotCompanyId,
+        customerInternalId: payload.customerInternalId,
+        previousHubspotCompanyId: payload.previousHubspotCompanyId,
+      });
 
-  const response = await axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${HUBSPOT_TOKEN}`,
+      return callNetSuite(method, restlets.contact, payload);
     },
-  });
+    (response) => ({ contactId: extractNetSuiteIds(response).internalId })
+  );
+}
+
+
+// HubSpot Contact → NetSuite Contact attached to its customer (CREATE)
+export async function createContactInNS(contact) {
+  log('Creating Contact in NetSuite (POST):', contact.id);
+
+  return syncContactInNS('POST', contact);
+}
+
+
+// HubSpot Contact → NetSuite Contact (UPDATE). Pass previousHubspotCompanyId
+// when the contact moved companies so the RESTlet detaches it from the old customer.
+export async function updateContactInNS(contact, options = {}) {
+  log('Updating Contact in NetSuite (PUT):', contact.id);
+
+  return syncContactInNS('PUT', contact, options);
+}
+
+
+// NetSuite record types the item RESTlet can create (the "itemType" product field)
+const ITEM_TYPES = ['inventoryitem', 'noninventoryitem', 'serviceitem'];
+
+/**
+ * Send a product to the item RESTlet: POST creates the item as `itemType`,
+ * PUT updates name, SKU, price and active status on the existing one.
+ */
+async function syncItemInNS(method, product) {
+  return withSyncWriteback(
+    'products',
+    product.id,
+    () => {
+      const { fields, ...payload } = buildMappedPayload('products', product);
+      const { itemType, ...itemFields } = fields;
+
+      if (!ITEM_TYPES.includes(itemType)) {
+        throw new RecordDataError(
+          `HubSpot product ${product.id} has item type "${itemType}" (expected one of ${ITEM_TYPES.join(', ')})`
+        );
+      }
+
+      return callNetSuite(method, restlets.item, { ...payload, itemType, fields: itemFields });
+    },
+    (response) => ({ itemId: extractNetSuiteIds(response).internalId })
+  );
+}
+
+// HubSpot Product → NetSuite Item (CREATE)
+export async function createItemInNS(product) {
+  log('Creating Item in NetSuite (POST):', product.id);
+
+  return syncItemInNS('POST', product);
+}
+
+// HubSpot Product → NetSuite Item (UPDATE)
+export async function updateItemInNS(product) {
+  log('Updating Item in NetSuite (PUT):', product.id);
+
+  return syncItemInNS('PUT', product);
+}
+
+
+/**
+ * A deal's associations through the v4 API, which includes labels:
+ * [{ id, labels: ['Primary', 'Bill To', ...] }]. Unlabeled associations have no labels.
+ */
+async function fetchDealAssociations(dealId, toObjectType) {
+  const path = `/crm/v4/objects/deals/${dealId}/associations/${toObjectType}`;
 
-  const results = response.data.results || [];
+  logger.debug(`🔎 Fetching HubSpot deal associations: ${path}`);
 
-  log('📎 Raw association results from HubSpot:', {
+  const results = [];
+  for await (const result of hubspotPaginate('GET', path, { params: { limit: 500 } })) {
+    results.push({
+      id: result.toObjectId?.toString(),
+      labels: (result.associationTypes || []).map((type) => type.label).filter(Boolean),
+    });
+  }
+
+  logger.debug('📎 Raw association results from HubSpot:', {
     dealId,
     toObjectType,
     results,
@@ -284,179 +353,358 @@ export async function convertQuoteToSalesOrder(hubspotDealId) {
   const payload = {
     hubspotDealId,
     externalId, // 👈 this is the external ID you wanted sent to the RESTlet
+    quoteInternalId: getNetSuiteId('deals', hubspotDealId),
   };
 
   log(
     '🔁 Converting NetSuite Quote → Sales Order via RESTlet:',
-    JSON.stringify(payload, null, 2)
+    payload
   );
 
   // Uses your existing OAuth / callNetSuite helper
-  return callNetSuite('POST', process.env.NS_RESTLET_CONVERT_QUOTE_URL, payload);
+  return withSyncWriteback(
+    'deals',
+    hubspotDealId,
+    () => callNetSuite('POST', restlets.convertQuote, payload),
+    (response) => {
+      const { internalId, tranId } = extractNetSuiteIds(response);
+      return {
+        salesOrderId: response.salesOrderId ?? internalId,
+        salesOrderNumber: response.salesOrderTranId ?? tranId,
+      };
+    }
+  );
 }
 
 
 
 
-// 🔧 Helper: fetch Product SKU (NetSuite item internal ID) from HubSpot Product
-async function fetchProductSku(productId) {
-  if (!HUBSPOT_TOKEN) {
-    throw new Error('HUBSPOT_ACCESS_TOKEN is not set (fetchProductSku)');
-  }
+// ---------- DELETION / MERGE / RESTORE ----------
 
-  const url = `${HUBSPOT_BASE_URL}/crm/v3/objects/products/${productId}`;
+// Which RESTlet handles each HubSpot object type, and how the RESTlet names its ID
+const RESTLET_TARGETS = {
+  companies: { restlet: 'customer', idKey: 'hubspotCompanyId', label: 'Customer' },
+  contacts: { restlet: 'contact', idKey: 'hubspotContactId', label: 'Contact' },
+  products: { restlet: 'item', idKey: 'hubspotProductId', label: 'Item' },
+  deals: { restlet: 'salesOrder', idKey: 'hubspotDealId', label: 'Quote' },
+};
 
-  log(`🔎 Fetching HubSpot product for SKU mapping: ${url}`);
+/**
+ * Send a lifecycle action (inactivate / reactivate / relink / close / reopen)
+ * for a HubSpot record to its RESTlet as a PUT with an `action` field.
+ */
+async function sendLifecycleAction(apiObjectType, action, hubspotId, extra = {}) {
+  const target = RESTLET_TARGETS[apiObjectType];
 
-  const response = await axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${HUBSPOT_TOKEN}`,
-    },
-  });
+  const payload = {
+    action,
+    [target.idKey]: hubspotId?.toString(),
+    internalId: getNetSuiteId(apiObjectType, hubspotId),
+    ...extra,
+  };
 
-  const props = response.data.properties || {};
+  log(`♻️ NetSuite ${target.label} lifecycle action: ${action}`, payload);
 
-  // Candidate property names on the PRODUCT where you might be storing NS item internal ID
-  const skuPropCandidates = [
-    'item_sku',                            // your custom "item sku field"
-    'hs_sku',                              // default HubSpot product SKU
-    'sku',                                 // generic
-    process.env.HUBSPOT_ITEM_SKU_PROPERTY, // optional override via env var
-  ].filter(Boolean);
+  return callNetSuite('PUT', restlets[target.restlet], payload);
+}
 
-  let itemInternalId;
-  let chosenPropName;
+// HubSpot record deleted → inactivate the NetSuite Customer / Contact / Item
+export async function inactivateRecordInNS(apiObjectType, hubspotId) {
+  return sendLifecycleAction(apiObjectType, 'inactivate', hubspotId);
+}
 
-  for (const propName of skuPropCandidates) {
-    if (props[propName]) {
-      itemInternalId = props[propName];
-      chosenPropName = propName;
-      break;
-    }
+// HubSpot record restored → reactivate it in NetSuite
+export async function reactivateRecordInNS(apiObjectType, hubspotId) {
+  return sendLifecycleAction(apiObjectType, 'reactivate', hubspotId);
+}
+
+// HubSpot records merged → point the NetSuite record at the surviving HubSpot ID
+export async function relinkRecordInNS(apiObjectType, survivingHubspotId, mergedHubspotIds) {
+  const mergedIds = (mergedHubspotIds || []).map((id) => id.toString());
+  // The surviving record may never have synced itself; then the NetSuite record is a merged one's
+  const internalId =
+    [survivingHubspotId, ...mergedIds].map((id) => getNetSuiteId(apiObjectType, id)).find(Boolean) || null;
+
+  const response = await sendLifecycleAction(apiObjectType, 'relink', survivingHubspotId, {
+    internalId,
+    mergedHubspotIds: mergedIds,
+  });
+
+  // Without this the surviving ID maps to nothing, and its next change creates a duplicate
+  mergeNetSuiteRefs(apiObjectType, survivingHubspotId, mergedIds);
+  const relinked = extractNetSuiteIds(response || {});
+  if (relinked.internalId) {
+    setNetSuiteRef(apiObjectType, survivingHubspotId, NETSUITE_RECORD_TYPES[apiObjectType], relinked);
   }
 
-  log('📦 Product properties for SKU mapping:', {
-    productId,
-    props,
-    chosenSkuProperty: chosenPropName,
-    itemInternalId,
+  return response;
+}
+
+// HubSpot Deal deleted → close the open Quote
+export async function closeQuoteInNS(hubspotDealId) {
+  return sendLifecycleAction('deals', 'close', hubspotDealId, {
+    externalId: `HSDEAL_${hubspotDealId}`,
   });
+}
 
-  return { itemInternalId, chosenPropName };
+// HubSpot Deal restored → reopen the Quote
+export async function reopenQuoteInNS(hubspotDealId) {
+  return sendLifecycleAction('deals', 'reopen', hubspotDealId, {
+    externalId: `HSDEAL_${hubspotDealId}`,
+  });
 }
 
-// 🔧 Helper: fetch Product description (used as NS item lookup key)
-// 🔧 Helper: fetch Product description (used as NS item internal ID)
-async function fetchProductIdentifier(productId) {
-  if (!HUBSPOT_TOKEN) {
-    throw new Error('HUBSPOT_ACCESS_TOKEN is not set (fetchProductIdentifier)');
+
+
+
+/**
+ * Look up the NetSuite records linked to a set of HubSpot IDs (used by reconcile).
+ * The RESTlet answers GET ?action=lookup&hubspotIds=1,2,3 with
+ * { records: [{ hubspotId, internalId, fields: { ... } }] }.
+ */
+export async function lookupRecordsInNS(apiObjectType, hubspotIds) {
+  const target = RESTLET_TARGETS[apiObjectType];
+  const baseUrl = restlets[target.restlet];
+
+  if (!baseUrl) {
+    throw new Error(`NetSuite ${target.label} RESTlet URL is not set (lookupRecordsInNS)`);
   }
 
-  const url = `${HUBSPOT_BASE_URL}/crm/v3/objects/products/${productId}`;
+  const url = new URL(baseUrl);
+  url.searchParams.set('action', 'lookup');
+  url.searchParams.set('hubspotIds', hubspotIds.join(','));
 
-  log(`🔎 Fetching HubSpot product for item mapping: ${url}`);
+  const response = await callNetSuite('GET', url.toString());
+  return response?.records || [];
+}
 
-  const response = await axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${HUBSPOT_TOKEN}`,
-    },
-  });
 
-  const props = response.data.properties || {};
 
-  // 👇 You promised this will be the NetSuite item internal ID
-  const itemInternalId = props.description || null;
 
-  log('📦 Product properties for item mapping:', {
-    productId,
-    props,
-    chosenItemInternalId: itemInternalId,
-  });
+/**
+ * Find NetSuite items by SKU through the item RESTlet:
+ * GET ?action=lookupSku&skus=A,B answers { items: [{ sku, internalId }] }.
+ * Returns Map<SKU, internalId>, keyed upper-case (NetSuite item names ignore case).
+ */
+async function lookupItemsBySku(skus) {
+  const url = new URL(restlets.item);
+  url.searchParams.set('action', 'lookupSku');
+  url.searchParams.set('skus', skus.join(','));
 
-  return { itemInternalId };
+  const response = await callNetSuite('GET', url.toString());
+
+  return new Map(
+    (response?.items || [])
+      .filter((item) => item.sku && item.internalId)
+      .map((item) => [item.sku.toString().toUpperCase(), item.internalId.toString()])
+  );
 }
 
+/**
+ * NetSuite item internal ID for each product, in order: the stored ID (ID map,
+ * then the written-back netsuite_item_id), then a SKU lookup through the item
+ * RESTlet. Products neither finds map to null and are left to NS_ITEM_FALLBACK.
+ * Results are cached briefly so back-to-back deals don't re-read the same products.
+ */
+async function resolveItemIds(productIds) {
+  const itemIds = new Map();
+  const toFetch = [];
+
+  for (const productId of new Set(productIds)) {
+    const mapped = getNetSuiteId('products', productId);
+    const cached = mapped || productIdentifierCache.get(productId);
+    if (cached !== undefined) {
+      itemIds.set(productId, cached);
+    } else {
+      toFetch.push(productId);
+    }
+  }
 
+  logger.debug('🔎 Resolving HubSpot products to NetSuite items:', {
+    cached: itemIds.size,
+    fetching: toFetch.length,
+  });
 
+  if (!toFetch.length) {
+    return itemIds;
+  }
 
-// HubSpot Deal → NetSuite Sales Order (still POST, placeholder for later)
-// HubSpot Deal → NetSuite Sales Order (POST, full implementation)
-// HubSpot Deal → NetSuite Sales Order (POST, full implementation with extra debug)
-// HubSpot Deal → NetSuite Sales Order (POST, full implementation with association fallback)
-// HubSpot Deal → NetSuite Sales Order (POST, with product lookup for SKU)
-// HubSpot Deal → NetSuite Sales Order (POST, using Product description for NS item lookup)
-// HubSpot Deal → NetSuite Sales Order (POST, using Product.description as NS item internal ID)
-export async function createSalesOrderInNS(deal) {
-  log(
-    '🔄 createSalesOrderInNS - Raw HubSpot deal object:',
-    JSON.stringify(deal, null, 2)
+  const products = await batchReadHubSpotRecords(
+    'products',
+    toFetch,
+    [...getHubSpotProperties('products'), getIdProperty('products')]
   );
 
-  if (!HUBSPOT_TOKEN) {
-    throw new Error('HUBSPOT_ACCESS_TOKEN is not set (netsuiteService)');
+  // SKU candidates are the "sku" field's HubSpot properties in config/fieldMappings.json
+  const skusByProduct = new Map();
+
+  for (const product of products) {
+    const productId = product.id.toString();
+    const storedId = resolveNetSuiteId('products', product);
+
+    if (storedId) {
+      itemIds.set(productId, storedId);
+      productIdentifierCache.set(productId, storedId);
+    } else {
+      const { sku } = mapProperties('products', product.properties).fields;
+      if (sku) skusByProduct.set(productId, sku.toString());
+    }
   }
 
-  const hubspotDealId = deal.id?.toString();
-// ✅ NEW: Only proceed if deal is in Closed Won stage
-  const stage = deal.properties?.dealstage;
- 
-  // ---------- COMPANY ASSOCIATION ----------
-  let hubspotCompanyId = null;
+  const itemsBySku = skusByProduct.size
+    ? await lookupItemsBySku([...new Set(skusByProduct.values())])
+    : new Map();
 
-  const associations = deal.associations || {};
-  log(
-    '🧩 Deal associations object (from deal payload):',
-    JSON.stringify(associations, null, 2)
-  );
+  for (const productId of toFetch) {
+    if (itemIds.has(productId)) continue;
 
-  const embeddedCompanyAssoc =
-    associations.companies &&
-    associations.companies.results &&
-    associations.companies.results[0];
-
-  if (embeddedCompanyAssoc && embeddedCompanyAssoc.id) {
-    hubspotCompanyId = embeddedCompanyAssoc.id.toString();
-  } else {
-    // fallback – explicit associations API, if you already added fetchDealAssociations
-    if (typeof fetchDealAssociations === 'function') {
-      const companyAssocResults = await fetchDealAssociations(
-        hubspotDealId,
-        'companies'
-      );
-      if (companyAssocResults.length > 0) {
-        hubspotCompanyId = companyAssocResults[0].id?.toString() || null;
-      }
+    const sku = skusByProduct.get(productId);
+    const internalId = (sku && itemsBySku.get(sku.toUpperCase())) || null;
+
+    if (internalId) {
+      // Linked by SKU: remember it so the next deal (and product events) use the stored ID
+      setNetSuiteRef('products', productId, 'item', { internalId });
+      log('🔗 Matched HubSpot product to NetSuite item by SKU', { productId, sku, internalId });
     }
+
+    itemIds.set(productId, internalId);
+    productIdentifierCache.set(productId, internalId);
   }
 
+  return itemIds;
+}
+
+
+
+
+// ---------- QUOTE DEPENDENCIES ----------
+
+const DEPENDENCIES = {
+  companies: { label: 'Company', create: createCustomerInNS },
+  products: { label: 'Product', create: createItemInNS },
+};
+
+/**
+ * Make sure a company / product the Quote needs exists in NetSuite, creating it
+ * through the normal create path if not: { internalId, problem }.
+ * Runs under the record's object lock and re-checks the ID map once it has it,
+ * so a creation event handled meanwhile isn't duplicated. Only data the rep can
+ * fix (missing fields, a NetSuite validation error) becomes a validation problem;
+ * anything else (auth, network, HubSpot errors) is rethrown and fails the sync as such.
+ */
+async function ensureInNetSuite(apiObjectType, hubspotId) {
+  const { label, create } = DEPENDENCIES[apiObjectType];
+
+  return withObjectLock(apiObjectType, hubspotId, async () => {
+    const mapped = getNetSuiteId(apiObjectType, hubspotId);
+    if (mapped) return { internalId: mapped, problem: null };
+
+    try {
+      const record = await hubspotRequest('GET', `/crm/v3/objects/${apiObjectType}/${hubspotId}`, {
+        params: {
+          properties: [...getHubSpotProperties(apiObjectType), getIdProperty(apiObjectType)].join(','),
+        },
+      });
+
+      const existing = resolveNetSuiteId(apiObjectType, record);
+      if (existing) return { internalId: existing, problem: null };
+
+      log(`🧱 ${label} ${hubspotId} is not in NetSuite yet → creating it before the Quote`);
+      await create(record);
+    } catch (err) {
+      if (!(err instanceof RecordDataError || err instanceof NetSuiteValidationError)) throw err;
+
+      return {
+        internalId: null,
+        problem: `${label} ${hubspotId} could not be created in NetSuite: ${err.message || err}`,
+      };
+    }
+
+    return { internalId: getNetSuiteId(apiObjectType, hubspotId), problem: null };
+  });
+}
+
+
+// HubSpot Deal → NetSuite Quote payload, validated before anything is sent
+async function buildQuotePayload(deal) {
+  logger.debug(
+    '🔄 buildQuotePayload - Raw HubSpot deal object:',
+    deal
+  );
+
+  const hubspotDealId = deal.id?.toString();
+
+  // ---------- COMPANY ASSOCIATIONS ----------
+  // Labels decide which company is the customer (config/fieldMappings.json, deals.companyAssociations)
+  const associations = deal.associations || {};
+  const companyAssociations = await fetchDealAssociations(hubspotDealId, 'companies');
+  const {
+    customerCompanyId: hubspotCompanyId,
+    customerProblem: companyProblem,
+    labeledCompanies,
+    labelProblems,
+  } = resolveDealCompanies(companyAssociations, getCompanyAssociationRules());
+
   log('🏢 Extracted company association:', {
     hubspotDealId,
     hubspotCompanyId,
+    labeledCompanies,
   });
 
-  // ---------- LINE ITEM ASSOCIATIONS ----------
-  const lineItems = [];
+  const company = hubspotCompanyId
+    ? await fetchQuoteCompany(hubspotCompanyId)
+    : { customerInternalId: null, properties: {} };
+
+  // Company not in NetSuite yet (its creation event may still be queued) → create it first
+  let customerInternalId = company.customerInternalId;
+  let customerProblem = companyProblem;
+  if (hubspotCompanyId && !customerInternalId) {
+    ({ internalId: customerInternalId, problem: customerProblem } = await ensureInNetSuite(
+      'companies',
+      hubspotCompanyId
+    ));
+  }
+
+  // Other labeled companies (Bill To, End User, ...) → their customer IDs in mapped fields
+  const companyFields = {};
+  const companyFieldProblems = [...labelProblems];
+  for (const [field, labeledCompanyId] of Object.entries(labeledCompanies)) {
+    const { internalId, problem } =
+      labeledCompanyId === hubspotCompanyId && customerInternalId
+        ? { internalId: customerInternalId }
+        : await ensureInNetSuite('companies', labeledCompanyId);
+
+    if (internalId) {
+      companyFields[field] = internalId;
+    } else {
+      companyFieldProblems.push(problem || `Company ${labeledCompanyId} (${field}) has no NetSuite customer`);
+    }
+  }
 
+  // Currency and tax code apply to every line
+  const dealPricing = resolveDealPricing(deal.properties, company.properties);
+
+  // ---------- LINE ITEM ASSOCIATIONS ----------
   let embeddedLineItemAssoc =
     associations.line_items && associations.line_items.results
       ? associations.line_items.results
       : [];
 
-  log(
+  logger.debug(
     '📦 Embedded line_items association results:',
-    JSON.stringify(embeddedLineItemAssoc, null, 2)
+    embeddedLineItemAssoc
   );
 
-  // Optional: fallback via associations API if nothing embedded and you have fetchDealAssociations
-  if (!embeddedLineItemAssoc.length && typeof fetchDealAssociations === 'function') {
+  // Fallback via associations API if nothing embedded
+  if (!embeddedLineItemAssoc.length) {
     const lineAssocResults = await fetchDealAssociations(
       hubspotDealId,
       'line_items'
     );
     embeddedLineItemAssoc = lineAssocResults;
-    log(
+    logger.debug(
       '📦 line_items association results from API fallback:',
-      JSON.stringify(embeddedLineItemAssoc, null, 2)
+      embeddedLineItemAssoc
     );
   }
 
@@ -464,103 +712,176 @@ export async function createSalesOrderInNS(deal) {
     .map((li) => li.id?.toString())
     .filter(Boolean);
 
-  log('📦 Line item IDs resolved for this deal:', lineItemIds);
-
-  // 2) For each line item, fetch the line item + its Product,
-  // and use Product.description as the NetSuite item internal ID
-  for (const lineItemId of lineItemIds) {
-    const url = `${HUBSPOT_BASE_URL}/crm/v3/objects/line_items/${lineItemId}`;
+  logger.debug('📦 Line item IDs resolved for this deal:', lineItemIds);
 
-    log('➡️ Fetching HubSpot line item from:', url);
-
-    const liResp = await axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${HUBSPOT_TOKEN}`,
-      },
-    });
+  // 2) Batch-read the line items (one call per 100), then resolve their products to items
+  const lineItemProps = [
+    ...new Set([...getHubSpotProperties('line_items'), ...PRICING_LINE_PROPERTIES, 'hs_product_id', 'name']),
+  ];
+  const lineItemRecords = lineItemIds.length
+    ? await batchReadHubSpotRecords('line_items', lineItemIds, lineItemProps)
+    : [];
+  const lineItemsById = new Map(lineItemRecords.map((li) => [li.id.toString(), li]));
+
+  const productIds = lineItemRecords
+    .map((li) => li.properties?.hs_product_id)
+    .filter(Boolean)
+    .map((id) => id.toString());
+  const productIdentifiers = await resolveItemIds(productIds);
+
+  // Products with no item yet: NS_ITEM_FALLBACK creates one, uses a catch-all
+  // item, or leaves the line for validation to report
+  const itemProblems = new Map();
+  const { itemFallback, fallbackItemId } = config.netsuite;
+  for (const productId of new Set(productIds)) {
+    if (productIdentifiers.get(productId)) continue;
+
+    if (itemFallback === 'create') {
+      const { internalId, problem } = await ensureInNetSuite('products', productId);
+      productIdentifiers.set(productId, internalId);
+      if (problem) itemProblems.set(productId, problem);
+    } else if (itemFallback === 'item') {
+      logger.warn('⚠️ No NetSuite item for product; using the fallback item', {
+        hubspotDealId,
+        productId,
+        fallbackItemId,
+      });
+      productIdentifiers.set(productId, fallbackItemId);
+    }
+  }
 
-    const props = liResp.data.properties || {};
+  // Keep the deal's line order; every line is kept so validation can name the bad ones
+  const lines = lineItemIds.map((lineItemId) => {
+    const lineItemRecord = lineItemsById.get(lineItemId);
 
-    const quantity = parseFloat(props.quantity || '1');
-    const rate = parseFloat(props.amount || '0'); // you have amount: '50.00' in logs
+    if (!lineItemRecord) {
+      return { hubspotLineItemId: lineItemId, found: false };
+    }
 
-    let itemInternalId = null;
+    const props = lineItemRecord.properties || {};
 
-    // Use associated Product if present
-    if (props.hs_product_id) {
-      const productId = props.hs_product_id;
-      log('🔁 Using product.description as NS item internal ID:', {
-        lineItemId,
-        productId,
-      });
+    // quantity etc. come from config/fieldMappings.json (line_items);
+    // rate, discount, tax and billing terms from config/linePricing.json
+    const { fields: lineFields } = mapProperties('line_items', props);
+    const pricing = priceLine(props, {
+      quantity: lineFields.quantity,
+      currencyCode: dealPricing.currencyCode,
+      taxCode: dealPricing.taxCode,
+    });
 
-      const productInfo = await fetchProductIdentifier(productId);
-      itemInternalId = productInfo.itemInternalId;
-    }
+    const productId = props.hs_product_id ? props.hs_product_id.toString() : null;
+    const itemInternalId = productId ? productIdentifiers.get(productId) || null : null;
 
-    log('📄 Raw line item properties + derived mapping:', {
+    logger.debug('📄 Raw line item properties + derived mapping:', {
       lineItemId,
       props,
       itemInternalId,
-      quantity,
-      rate,
+      ...lineFields,
     });
 
-    if (!itemInternalId) {
-      log(
-        '⚠️ Line item has no usable product description / NS internal ID; skipping line item.',
-        { lineItemId }
-      );
-      continue;
-    }
-
-    lineItems.push({
-      itemInternalId,                        // 🔑 numeric string from Product.description
-      quantity: isNaN(quantity) ? 1 : quantity,
-      rate: isNaN(rate) ? undefined : rate,
+    return {
       hubspotLineItemId: lineItemId,
+      found: true,
+      name: props.name,
+      productId,
+      itemInternalId,
+      itemProblem: productId ? itemProblems.get(productId) : undefined,
+      quantity: lineFields.quantity,
+      lineFields: { ...lineFields, ...pricing.fields },
+      pricingProblems: pricing.problems,
+    };
+  });
+
+  const problems = validateDeal({
+    hubspotCompanyId,
+    customerInternalId,
+    customerProblem,
+    lines,
+    dealProblems: [...companyFieldProblems, ...dealPricing.problems],
+  });
+
+  if (problems.length) {
+    logger.warn('🚧 Deal failed pre-flight validation; not calling NetSuite', {
+      hubspotDealId,
+      problems,
     });
+    throw new DealValidationError(hubspotDealId, problems);
   }
 
-  log(
+  const lineItems = lines.map((line) => ({
+    itemInternalId: line.itemInternalId,
+    ...line.lineFields,
+    hubspotLineItemId: line.hubspotLineItemId,
+  }));
+
+  logger.debug(
     '✅ Final mapped line items to send to NetSuite:',
-    JSON.stringify(lineItems, null, 2)
+    lineItems
   );
 
-  if (!hubspotCompanyId) {
-    log(
-      '❌ No associated company on deal. NS RESTlet will complain about missing hubspotCompanyId.',
-      { hubspotDealId }
-    );
-  }
-
-  if (!lineItems.length) {
-    log(
-      '❌ No valid line items mapped. NS RESTlet will complain "At least one line item is required".',
-      { hubspotDealId }
-    );
-  }
-
-  const payload = {
+  return {
     hubspotDealId,
     hubspotCompanyId,
+    customerInternalId,
+    internalId: resolveNetSuiteId('deals', deal),
+    currencyCode: dealPricing.currencyCode,
+    currency: dealPricing.currency,
+    fields: { ...mapProperties('deals', deal.properties).fields, ...companyFields },
     lineItems,
   };
-
-  log(
-    '🚚 Payload being sent to NetSuite Sales Order RESTlet:',
-    JSON.stringify(payload, null, 2)
-  );
-
-  return callNetSuite('POST', process.env.NS_RESTLET_SALESORDER_URL, payload);
 }
 
+// Send the Quote payload with `method` (POST creates, PUT updates) and write the result back
+function sendQuoteToNS(method, deal, extra = {}) {
+  const hubspotDealId = deal.id?.toString();
 
+  return withSyncWriteback(
+    'deals',
+    hubspotDealId,
+    async () => {
+      const payload = { ...extra, ...(await buildQuotePayload(deal)) };
 
+      logger.debug(
+        '🚚 Payload being sent to NetSuite Sales Order RESTlet:',
+        { method, payload }
+      );
 
+      return callNetSuite(method, restlets.salesOrder, payload);
+    },
+    (response) => {
+      const { internalId, tranId } = extractNetSuiteIds(response);
+      return {
+        quoteId: response.quoteId ?? internalId,
+        quoteNumber: response.quoteTranId ?? tranId,
+      };
+    }
+  );
+}
 
+// HubSpot Deal → NetSuite Quote (the "sales order" RESTlet creates the Quote; the SO comes later on Closed Won)
+export async function createSalesOrderInNS(deal) {
+  return sendQuoteToNS('POST', deal);
+}
 
+/**
+ * HubSpot Deal changed → rebuild the lines and update its open Quote.
+ * The payload is the full Quote (with its internalId and action "update"); the
+ * RESTlet matches lines on hubspotLineItemId, changing matches in place, adding
+ * new ones and deleting quote lines whose hubspotLineItemId is no longer sent.
+ * Once the Quote has become a Sales Order it is left alone.
+ */
+export async function updateQuoteInNS(deal) {
+  const hubspotDealId = deal.id?.toString();
+  const salesOrderInternalId = resolveNetSuiteId('deals', deal, 'salesorder');
 
+  if (salesOrderInternalId) {
+    logger.warn('🔒 Quote already converted to a Sales Order; not updating it', {
+      hubspotDealId,
+      salesOrderInternalId,
+    });
+    recordAudit({ type: 'quote_update_blocked', hubspotDealId, salesOrderInternalId });
+    return;
+  }
 
-
-
+  return sendQuoteToNS('PUT', deal, { action: 'update' });
+}
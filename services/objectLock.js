@@ -0,0 +1,12 @@
+import { createKeyedLock } from '../utils/keyedLock.js';
+
+const lock = createKeyedLock();
+
+/**
+ * Run `fn` with no other sync of the same HubSpot record in flight, so e.g. a
+ * company.creation and a deal creating that company as a dependency never
+ * both POST a Customer. Covers this process only.
+ */
+export function withObjectLock(objectType, hubspotId, fn) {
+  return lock.run(`${objectType}:${hubspotId}`, fn);
+}
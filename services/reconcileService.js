@@ -0,0 +1,92 @@
+import { log } from '../utils/logger.js';
+import { formatCsv } from '../utils/csv.js';
+import { mapProperties } from './fieldMapping.js';
+import { lookupRecordsInNS } from './netsuiteService.js';
+import {
+  assertBackfillType,
+  fetchRecordPage,
+  getListProperties,
+} from './backfillService.js';
+
+function sameValue(a, b) {
+  return String(a ?? '').trim() === String(b ?? '').trim();
+}
+
+/**
+ * Compare HubSpot records of one type against what NetSuite holds for them.
+ * Returns report rows for records that are missing in NetSuite or whose
+ * mapped fields differ.
+ */
+export async function runReconcile(apiObjectType, { since, limit } = {}) {
+  assertBackfillType(apiObjectType);
+
+  const properties = getListProperties(apiObjectType);
+  const rows = [];
+  let checked = 0;
+  let after;
+
+  do {
+    const page = await fetchRecordPage(apiObjectType, { since, after, properties });
+    after = page.after;
+
+    const records = limit ? page.results.slice(0, limit - checked) : page.results;
+    if (!records.length) break;
+
+    const nsRecords = await lookupRecordsInNS(
+      apiObjectType,
+      records.map((r) => r.id)
+    );
+    const nsById = new Map(nsRecords.map((r) => [r.hubspotId?.toString(), r]));
+
+    for (const record of records) {
+      const ns = nsById.get(record.id.toString());
+
+      if (!ns) {
+        rows.push({
+          objectType: apiObjectType,
+          hubspotId: record.id,
+          status: 'missing',
+          netsuiteInternalId: '',
+          differences: '',
+        });
+        continue;
+      }
+
+      const { fields } = mapProperties(apiObjectType, record.properties);
+      const nsFields = ns.fields || {};
+
+      const differences = Object.keys(fields)
+        .filter((key) => key in nsFields && !sameValue(fields[key], nsFields[key]))
+        .map((key) => `${key}: ${fields[key]} ≠ ${nsFields[key]}`);
+
+      if (differences.length) {
+        rows.push({
+          objectType: apiObjectType,
+          hubspotId: record.id,
+          status: 'different',
+          netsuiteInternalId: ns.internalId ?? '',
+          differences: differences.join('; '),
+        });
+      }
+    }
+
+    checked += records.length;
+  } while (after && (!limit || checked < limit));
+
+  log('🔍 Reconcile finished', {
+    apiObjectType,
+    checked,
+    missing: rows.filter((r) => r.status === 'missing').length,
+    different: rows.filter((r) => r.status === 'different').length,
+  });
+
+  return rows;
+}
+
+export function formatReport(rows, format = 'json') {
+  if (format === 'csv') {
+    return formatCsv(['objectType', 'hubspotId', 'status', 'netsuiteInternalId', 'differences'], rows);
+  }
+
+  return JSON.stringify(rows, null, 2) + '\n';
+}
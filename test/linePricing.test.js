@@ -0,0 +1,172 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadLinePricing, priceLine, resolveDealPricing } from '../services/linePricing.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const deals = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'deals.json'), 'utf8'));
+const lines = deals.californiaSoftware.lineItems;
+
+// Price a fixture line the way buildQuotePayload does: deal pricing first, then the line
+function priceFixtureLine(line, dealKey = 'californiaSoftware') {
+  const { deal, company } = deals[dealKey];
+  const { currencyCode, taxCode } = resolveDealPricing(deal, company);
+  return priceLine(line, { quantity: Number(line.quantity), currencyCode, taxCode });
+}
+
+describe('priceLine with discounts folded into the rate', () => {
+  before(() => loadLinePricing(path.join(FIXTURES, 'linePricing.json')));
+
+  it('sends the per-unit price as the rate, not the line total', () => {
+    const { fields, problems } = priceFixtureLine(lines.licenses);
+    assert.deepEqual(problems, []);
+    assert.equal(fields.rate, 19.99);
+    assert.equal(fields.taxCode, '-8');
+  });
+
+  it('takes a percentage discount off the rate', () => {
+    const { fields, problems } = priceFixtureLine(lines.percentOff);
+    assert.deepEqual(problems, []);
+    assert.equal(fields.rate, 90);
+    assert.equal(fields.discount, undefined);
+  });
+
+  it('takes a per-unit discount off the rate', () => {
+    const { fields } = priceFixtureLine(lines.unitOff);
+    assert.equal(fields.rate, 85);
+  });
+
+  it('uses amount / quantity as the final rate when the line has no price', () => {
+    const { fields, problems } = priceFixtureLine(lines.amountOnly);
+    assert.deepEqual(problems, []);
+    assert.equal(fields.rate, 90);
+  });
+
+  it('reports a line with neither price nor amount', () => {
+    const { fields, problems } = priceFixtureLine(lines.unpriced);
+    assert.equal(fields.rate, undefined);
+    assert.deepEqual(problems, ['has no price']);
+  });
+
+  it('reports out-of-range discounts', () => {
+    assert.deepEqual(priceLine({ price: '10', hs_discount_percentage: '120' }, { quantity: 1 }).problems, [
+      'has a discount of 120%',
+    ]);
+    assert.deepEqual(priceLine({ price: '10', discount: '12' }, { quantity: 1 }).problems, [
+      'has a unit discount of 12 on a price of 10',
+    ]);
+  });
+
+  it('reports a line priced in another currency than the deal', () => {
+    const { problems } = priceFixtureLine(lines.euroLine);
+    assert.deepEqual(problems, ['is priced in EUR but the deal is in USD']);
+  });
+
+  it('carries billing frequency, term and start date on recurring lines', () => {
+    const { fields, problems } = priceFixtureLine(lines.subscription);
+    assert.deepEqual(problems, []);
+    assert.equal(fields.rate, 12);
+    assert.equal(fields.billingFrequency, 'MONTHLY');
+    assert.equal(fields.termMonths, 18);
+    assert.equal(fields.billingStartDate, '2026-11-01');
+  });
+
+  it('reports unknown billing frequencies and unreadable terms', () => {
+    assert.deepEqual(priceFixtureLine(lines.biennial).problems, [
+      'has billing frequency "per_two_years" with no NetSuite equivalent configured',
+    ]);
+    assert.deepEqual(priceFixtureLine(lines.badTerm).problems, [
+      'has an unreadable billing term "twelve months"',
+    ]);
+  });
+});
+
+describe('priceLine with a NetSuite discount item', () => {
+  before(() => loadLinePricing(path.join(FIXTURES, 'linePricing.discountItem.json')));
+
+  it('keeps the list price and sends a percentage discount line', () => {
+    const { fields, problems } = priceFixtureLine(lines.percentOff);
+    assert.deepEqual(problems, []);
+    assert.equal(fields.rate, 100);
+    assert.deepEqual(fields.discount, { itemInternalId: '123', rate: '-10%' });
+  });
+
+  it('sends a per-unit discount as the negative line total', () => {
+    const { fields } = priceFixtureLine(lines.unitOff);
+    assert.equal(fields.rate, 100);
+    assert.deepEqual(fields.discount, { itemInternalId: '123', rate: -30 });
+  });
+
+  it('adds no discount line when the rate comes from amount / quantity', () => {
+    const { fields } = priceFixtureLine(lines.amountOnly);
+    assert.equal(fields.rate, 90);
+    assert.equal(fields.discount, undefined);
+  });
+
+  it('adds no discount line to an undiscounted line', () => {
+    const { fields } = priceFixtureLine(lines.licenses);
+    assert.equal(fields.discount, undefined);
+  });
+});
+
+describe('resolveDealPricing', () => {
+  before(() => loadLinePricing(path.join(FIXTURES, 'linePricing.json')));
+
+  it('maps the deal currency to its NetSuite internal ID', () => {
+    const { deal, company } = deals.berlinServices;
+    const result = resolveDealPricing(deal, company);
+    assert.equal(result.currencyCode, 'EUR');
+    assert.equal(result.currency, '4');
+  });
+
+  it('falls back to the default currency', () => {
+    const { deal, company } = deals.texasHardware;
+    const result = resolveDealPricing(deal, company);
+    assert.equal(result.currencyCode, 'USD');
+    assert.equal(result.currency, '1');
+  });
+
+  it('reports a currency with no NetSuite ID', () => {
+    const { deal, company } = deals.yenDeal;
+    assert.deepEqual(resolveDealPricing(deal, company).problems, [
+      'Deal currency JPY has no NetSuite currency configured',
+    ]);
+  });
+
+  it('looks up the tax code by country and state first', () => {
+    const { deal, company } = deals.californiaSoftware;
+    assert.equal(resolveDealPricing(deal, company).taxCode, '-8');
+  });
+
+  it('falls back to the country', () => {
+    const { deal, company } = deals.texasHardware;
+    assert.equal(resolveDealPricing(deal, company).taxCode, '-7');
+  });
+
+  it('falls back to "*" for any other location', () => {
+    const { deal, company } = deals.berlinServices;
+    const result = resolveDealPricing(deal, company);
+    assert.equal(result.taxCode, '-1');
+    assert.deepEqual(result.problems, []);
+  });
+
+  describe('without a "*" tax code', () => {
+    before(() => loadLinePricing(path.join(FIXTURES, 'linePricing.discountItem.json')));
+
+    it('reports a location with no tax code', () => {
+      const { deal, company } = deals.berlinServices;
+      const result = resolveDealPricing(deal, company);
+      assert.equal(result.taxCode, null);
+      assert.deepEqual(result.problems, ["No tax code for the company's location (DE, BE)"]);
+    });
+
+    it('reports a company with no country', () => {
+      const { deal, company } = deals.noLocation;
+      assert.deepEqual(resolveDealPricing(deal, company).problems, [
+        "No tax code for the company's location (no country set)",
+      ]);
+    });
+  });
+});
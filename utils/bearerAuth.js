@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Express middleware factory: requires `Authorization: Bearer <token>` matching
+ * `expected` (a value from config). `settingName` is only used in log messages.
+ */
+export function requireBearerToken(expected, settingName) {
+  return (req, res, next) => {
+    if (!expected) {
+      logger.warn(`🚫 ${settingName} is not set; rejecting ${req.originalUrl}`);
+      return res.status(401).send('Unauthorized');
+    }
+
+    const header = req.get('Authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+    const a = Buffer.from(provided, 'utf8');
+    const b = Buffer.from(expected, 'utf8');
+
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+      logger.warn('🚫 Rejected request with bad bearer token:', {
+        path: req.originalUrl,
+        ip: req.ip,
+      });
+      return res.status(401).send('Unauthorized');
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,39 @@
+/**
+ * Run at most `maxConcurrent` async tasks at once; the rest wait in FIFO order.
+ */
+export function createConcurrencyLimiter(maxConcurrent) {
+  let active = 0;
+  const waiting = [];
+
+  function next() {
+    if (active >= maxConcurrent || !waiting.length) return;
+
+    active += 1;
+    const { fn, resolve, reject } = waiting.shift();
+
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  }
+
+  return {
+    run(fn) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ fn, resolve, reject });
+        next();
+      });
+    },
+
+    get active() {
+      return active;
+    },
+
+    get pending() {
+      return waiting.length;
+    },
+  };
+}
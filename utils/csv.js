@@ -0,0 +1,61 @@
+function csvCell(value) {
+  const str = String(value ?? '');
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Rows of objects → CSV text with a header line, in `columns` order.
+ */
+export function formatCsv(columns, rows) {
+  const lines = rows.map((row) => columns.map((c) => csvCell(row[c])).join(','));
+  return [columns.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * CSV text with a header line → array of objects keyed by header.
+ * Handles quoted cells (with "" escapes and embedded commas / newlines).
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter((r) => r.some((c) => c.trim() !== ''));
+  const keys = header.map((h) => h.trim());
+
+  return rows.map((r) => Object.fromEntries(keys.map((key, i) => [key, (r[i] ?? '').trim()])));
+}
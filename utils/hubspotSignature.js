@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { config } from '../config/index.js';
+
+const HUBSPOT_CLIENT_SECRET = config.hubspot.clientSecret;
+
+// v3 signatures carry a timestamp; anything older than this is treated as a replay
+const MAX_SIGNATURE_AGE_MS = config.hubspot.signatureMaxAgeMs;
+
+// v1/v2 signatures have no timestamp, so they are only accepted when explicitly enabled
+const ALLOW_LEGACY_SIGNATURES = config.hubspot.allowLegacySignatures;
+
+// HubSpot decodes these characters in the URI before signing (v3 only)
+const URI_DECODE_MAP = {
+  '%3A': ':',
+  '%2F': '/',
+  '%3F': '?',
+  '%40': '@',
+  '%21': '!',
+  '%24': '$',
+  '%27': "'",
+  '%28': '(',
+  '%29': ')',
+  '%2A': '*',
+  '%2C': ',',
+  '%3B': ';',
+};
+
+/**
+ * Keep the raw request body around for signature checks.
+ * Pass as the `verify` option of bodyParser.json().
+ */
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf.toString('utf8');
+}
+
+/**
+ * Rebuild the URI HubSpot signed. Set HUBSPOT_WEBHOOK_BASE_URL when the
+ * public host differs from what reaches us (e.g. behind Render's proxy).
+ */
+function getRequestUri(req) {
+  const base =
+    config.hubspot.webhookBaseUrl ||
+    `${req.protocol}://${req.get('host')}`;
+
+  return base.replace(/\/$/, '') + req.originalUrl;
+}
+
+function decodeUriForV3(uri) {
+  return uri.replace(/%[0-9A-F]{2}/gi, (match) => {
+    return URI_DECODE_MAP[match.toUpperCase()] || match;
+  });
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a || '', 'utf8');
+  const bufB = Buffer.from(b || '', 'utf8');
+
+  if (bufA.length !== bufB.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function verifyV3(req, rawBody) {
+  const signature = req.get('X-HubSpot-Signature-v3');
+  const timestamp = req.get('X-HubSpot-Request-Timestamp');
+
+  if (!timestamp) {
+    return { ok: false, reason: 'missing X-HubSpot-Request-Timestamp' };
+  }
+
+  const age = Date.now() - parseInt(timestamp, 10);
+  if (isNaN(age) || age > MAX_SIGNATURE_AGE_MS) {
+    return { ok: false, reason: 'stale or invalid timestamp' };
+  }
+
+  const uri = decodeUriForV3(getRequestUri(req));
+  const source = `${req.method}${uri}${rawBody}${timestamp}`;
+
+  const expected = crypto
+    .createHmac('sha256', HUBSPOT_CLIENT_SECRET)
+    .update(source, 'utf8')
+    .digest('base64');
+
+  return safeEqual(signature, expected)
+    ? { ok: true }
+    : { ok: false, reason: 'v3 signature mismatch' };
+}
+
+function verifyLegacy(req, rawBody) {
+  const signature = req.get('X-HubSpot-Signature');
+  const version = (req.get('X-HubSpot-Signature-Version') || 'v1').toLowerCase();
+
+  let source;
+  if (version === 'v1') {
+    source = HUBSPOT_CLIENT_SECRET + rawBody;
+  } else if (version === 'v2') {
+    source = HUBSPOT_CLIENT_SECRET + req.method + getRequestUri(req) + rawBody;
+  } else {
+    return { ok: false, reason: `unsupported signature version ${version}` };
+  }
+
+  const expected = crypto.createHash('sha256').update(source, 'utf8').digest('hex');
+
+  return safeEqual(signature, expected)
+    ? { ok: true }
+    : { ok: false, reason: `${version} signature mismatch` };
+}
+
+/**
+ * Check a request against HubSpot's webhook signature headers.
+ * Returns { ok, reason }.
+ */
+export function verifyHubSpotRequest(req) {
+  if (!HUBSPOT_CLIENT_SECRET) {
+    return { ok: false, reason: 'HUBSPOT_CLIENT_SECRET is not set' };
+  }
+
+  const rawBody = req.rawBody ?? '';
+
+  if (req.get('X-HubSpot-Signature-v3')) {
+    return verifyV3(req, rawBody);
+  }
+
+  if (req.get('X-HubSpot-Signature')) {
+    if (!ALLOW_LEGACY_SIGNATURES) {
+      return { ok: false, reason: 'legacy signatures are disabled' };
+    }
+    return verifyLegacy(req, rawBody);
+  }
+
+  return { ok: false, reason: 'no signature header' };
+}
+
+/**
+ * Express middleware: rejects unsigned or badly signed HubSpot calls with a 401.
+ */
+export function requireHubSpotSignature(req, res, next) {
+  const result = verifyHubSpotRequest(req);
+
+  if (!result.ok) {
+    logger.warn('🚫 Rejected HubSpot webhook:', {
+      reason: result.reason,
+      path: req.originalUrl,
+      ip: req.ip,
+    });
+    return res.status(401).send('Invalid signature');
+  }
+
+  next();
+}
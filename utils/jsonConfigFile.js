@@ -0,0 +1,43 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from './logger.js';
+
+const CONFIG_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config');
+
+/**
+ * A JSON file from config/ (`defaultName`), or from `envPath` when its setting is
+ * given. `validate(raw)` returns a list of problems; any problem throws them all,
+ * so server.js / cli.js call `load()` at startup and a bad file stops the process
+ * instead of failing on the first webhook. `build(raw)` shapes what `get()` returns.
+ * `get()` loads the file on first use when nothing has loaded it yet.
+ */
+export function createJsonConfigFile(defaultName, envPath, validate, { label, emoji, build = (raw) => raw }) {
+  let value = null;
+
+  function load(filePath = envPath || path.join(CONFIG_DIR, defaultName)) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Could not read ${label} from ${filePath}: ${err.message}`);
+    }
+
+    const problems = validate(raw);
+    if (problems.length) {
+      throw new Error(`Invalid ${label} in ${filePath}:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    value = build(raw);
+    log(`${emoji} Loaded ${label} from`, filePath);
+    return value;
+  }
+
+  return {
+    load,
+
+    get() {
+      return value || load();
+    },
+  };
+}
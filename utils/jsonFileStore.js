@@ -0,0 +1,33 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+
+// Where the queue and other local state live. Point at a persistent disk in production.
+export const DATA_DIR = path.resolve(config.dataDir);
+
+/**
+ * Read a JSON file from DATA_DIR, returning `fallback` when it doesn't exist yet.
+ */
+export function readJsonFile(fileName, fallback) {
+  const filePath = path.join(DATA_DIR, fileName);
+
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write a JSON file into DATA_DIR atomically (temp file + rename), so a crash
+ * mid-write never leaves a truncated file behind.
+ */
+export function writeJsonFile(fileName, data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  const filePath = path.join(DATA_DIR, fileName);
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
@@ -0,0 +1,34 @@
+/**
+ * Run async tasks one at a time per key; tasks for different keys run freely.
+ * Waiters for a key go in FIFO order. Not re-entrant: a task must not wait on
+ * its own key.
+ */
+export function createKeyedLock() {
+  // key → promise that settles when the last queued task for the key is done
+  const tails = new Map();
+
+  return {
+    async run(key, fn) {
+      const previous = tails.get(key) || Promise.resolve();
+
+      let release;
+      const done = new Promise((resolve) => {
+        release = resolve;
+      });
+      const tail = previous.then(() => done);
+      tails.set(key, tail);
+
+      try {
+        await previous;
+        return await fn();
+      } finally {
+        release();
+        if (tails.get(key) === tail) tails.delete(key);
+      }
+    },
+
+    get size() {
+      return tails.size;
+    },
+  };
+}
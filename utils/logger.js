@@ -1,3 +1,139 @@
+import { getContext } from './requestContext.js';
+import { config } from '../config/index.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_LEVEL = LEVELS[config.log.level] ?? LEVELS.info;
+
+// Keys masked anywhere in logged data (case-insensitive). LOG_REDACT_FIELDS adds more,
+// and so do the fields marked "pii" in the field mapping (see addRedactFields).
+const DEFAULT_REDACT_FIELDS = [
+  'authorization',
+  'cookie',
+  'token',
+  'access_token',
+  'client_secret',
+  'password',
+  'secret',
+  'oauth_signature',
+  'email',
+  'phone',
+  'mobilephone',
+  'firstname',
+  'lastname',
+  'address',
+  'address2',
+  'zip',
+];
+
+const REDACT_FIELDS = new Set(
+  [...DEFAULT_REDACT_FIELDS, ...config.log.redactFields]
+    .map((f) => f.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+/**
+ * Mask these keys too, e.g. the HubSpot and NetSuite names of PII fields in the mapping.
+ */
+export function addRedactFields(fields) {
+  for (const field of fields) {
+    if (field) REDACT_FIELDS.add(field.trim().toLowerCase());
+  }
+}
+
+function isRedactedField(key) {
+  return typeof key === 'string' && REDACT_FIELDS.has(key.toLowerCase());
+}
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+function redactString(value) {
+  return value
+    .replace(/(Bearer|OAuth)\s+[^\s"]+/gi, `$1 ${REDACTED}`)
+    .replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, REDACTED);
+}
+
+/**
+ * Deep copy of `value` with sensitive keys and token-looking strings masked.
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > MAX_DEPTH) return '[Truncated]';
+
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        status: value.status,
+        code: value.code,
+        category: value.category,
+        correlationId: value.correlationId,
+        stack: LOG_LEVEL <= LEVELS.debug ? value.stack : undefined,
+      },
+      depth + 1
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((v) => redact(v, depth + 1));
+  }
+
+  // Webhook propertyChange events carry the new value next to the property's name
+  const maskPropertyValue = isRedactedField(value.propertyName);
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] =
+      isRedactedField(key) || (maskPropertyValue && key === 'propertyValue') ? REDACTED : redact(v, depth + 1);
+  }
+  return out;
+}
+
+function write(level, args) {
+  if (LEVELS[level] < LOG_LEVEL) return;
+
+  const [first, ...rest] = args;
+  const msg = typeof first === 'string' ? first : '';
+  const dataArgs = typeof first === 'string' ? rest : args;
+
+  const { correlationId, requestId, eventId } = getContext();
+
+  const line = {
+    ts: new Date().toISOString(),
+    level,
+    msg: redactString(msg),
+    correlationId,
+    requestId,
+    eventId,
+  };
+
+  if (dataArgs.length) {
+    line.data = redact(dataArgs.length === 1 ? dataArgs[0] : dataArgs);
+  }
+
+  const out = JSON.stringify(line);
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(out);
+  } else {
+    console.log(out);
+  }
+}
+
+/**
+ * Leveled JSON-lines logger. Every line carries the correlation / event IDs of
+ * the current request context; LOG_LEVEL picks the minimum level (default info).
+ */
+export const logger = {
+  debug: (...args) => write('debug', args),
+  info: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args),
+};
+
+// Original helper; logs at info level
 export function log(...args) {
-  console.log(new Date().toISOString(), '-', ...args);
+  logger.info(...args);
 }
@@ -0,0 +1,162 @@
+// Minimal Prometheus text-format registry (counters, gauges, histograms)
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; covers a fast HubSpot read up to a slow RESTlet
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Stable key for a label set; missing labels become ''
+function pickLabels(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+/**
+ * Monotonic counter: `inc({ label: 'value' }, amount = 1)`.
+ */
+export function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+
+  const counter = {
+    inc(labels, amount = 1) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+
+    render() {
+      return [
+        ...header(name, help, 'counter'),
+        ...[...series.values()].map((s) => `${name}${formatLabels(s.labels)} ${s.value}`),
+      ];
+    },
+  };
+
+  registry.push(counter);
+  return counter;
+}
+
+/**
+ * Gauge read at scrape time: `collect()` returns the current number.
+ */
+export function createGauge({ name, help, collect }) {
+  const gauge = {
+    render() {
+      return [...header(name, help, 'gauge'), `${name} ${Number(collect()) || 0}`];
+    },
+  };
+
+  registry.push(gauge);
+  return gauge;
+}
+
+/**
+ * Histogram of values in seconds. `startTimer(labels)` returns a function that
+ * records the elapsed time; extra labels passed to it are merged in.
+ */
+export function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = new Map();
+
+  const histogram = {
+    observe(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || {
+        labels: picked,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        histogram.observe({ ...labels, ...moreLabels }, seconds);
+      };
+    },
+
+    render() {
+      const lines = header(name, help, 'histogram');
+
+      for (const s of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(s.labels)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+
+      return lines;
+    },
+  };
+
+  registry.push(histogram);
+  return histogram;
+}
+
+/**
+ * Everything registered so far, in Prometheus text exposition format.
+ */
+export function renderMetrics() {
+  return registry.flatMap((metric) => metric.render()).join('\n') + '\n';
+}
+
+// Metrics shared across the bridge; gauges are registered where their source lives
+
+export const webhookEventsReceived = createCounter({
+  name: 'hubspot_webhook_events_received_total',
+  help: 'HubSpot webhook events received, by subscription type',
+  labelNames: ['subscription_type'],
+});
+
+export const syncsTotal = createCounter({
+  name: 'netsuite_syncs_total',
+  help: 'HubSpot events synced to NetSuite, by object type, operation and result',
+  labelNames: ['object_type', 'operation', 'result'],
+});
+
+export const retriesTotal = createCounter({
+  name: 'sync_retries_total',
+  help: 'Retried HubSpot calls, NetSuite calls and queued events',
+  labelNames: ['target'],
+});
+
+export const hubspotRequestDuration = createHistogram({
+  name: 'hubspot_request_duration_seconds',
+  help: 'HubSpot API call latency per attempt',
+  labelNames: ['method', 'status'],
+});
+
+export const netsuiteRequestDuration = createHistogram({
+  name: 'netsuite_request_duration_seconds',
+  help: 'NetSuite RESTlet call latency per attempt',
+  labelNames: ['method', 'status'],
+});
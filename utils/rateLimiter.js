@@ -0,0 +1,53 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Token bucket: holds up to `capacity` tokens, refilled continuously at
+ * `refillPerSecond`. `take()` resolves once a token is available.
+ */
+export function createTokenBucket({ capacity, refillPerSecond }) {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond);
+    lastRefill = now;
+  }
+
+  return {
+    async take() {
+      while (true) {
+        const pause = pausedUntil - Date.now();
+        if (pause > 0) {
+          await sleep(pause);
+          continue;
+        }
+
+        refill();
+        if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        }
+
+        await sleep(Math.ceil(((1 - tokens) / refillPerSecond) * 1000));
+      }
+    },
+
+    /**
+     * Stop handing out tokens for `ms` (e.g. the server told us the window is used up).
+     */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+      tokens = 0;
+    },
+
+    /**
+     * Never hold more tokens than the server says remain in its window.
+     */
+    clamp(remaining) {
+      refill();
+      tokens = Math.min(tokens, remaining);
+    },
+  };
+}
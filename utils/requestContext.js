@@ -0,0 +1,24 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `context` merged over the current context, so code further down
+ * the call chain (e.g. callNetSuite) knows which event / record it works for.
+ */
+export function runWithContext(context, fn) {
+  return storage.run({ ...getContext(), ...context }, fn);
+}
+
+export function getContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Note a value on the current context for whoever started it to read back
+ * (e.g. which sync operation an event turned into). No-op outside a context.
+ */
+export function setContextValue(key, value) {
+  const store = storage.getStore();
+  if (store) store[key] = value;
+}
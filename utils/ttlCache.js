@@ -0,0 +1,28 @@
+/**
+ * Minimal in-memory cache whose entries expire `ttlMs` after they were set.
+ */
+export function createTtlCache(ttlMs) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    clear() {
+      entries.clear();
+    },
+  };
+}